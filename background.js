@@ -1,171 +1,2029 @@
-importScripts('logger.js');
+importScripts('logger.js', 'settings.js', 'errors.js', 'urls.js', 'filenames.js', 'variants.js', 'providers.js', 'zip.js', 'mimetypes.js', 'id3.js');
 
 const logger = createScopedLogger('background');
-const CACHE_STORAGE_KEY = 'tiktokCache';
-const CACHE_TTL_MS = 1000 * 60 * 60; // 1 hour
+const FETCH_TIMEOUT_MS = 15000;
+const FETCH_MAX_RETRIES = 3;
+const FETCH_BACKOFF_BASE_MS = 500;
+const FETCH_BACKOFF_MAX_MS = 8000;
+const UPSTREAM_MAX_CONCURRENT = 3;
+const RATE_BUCKET_CAPACITY = 5;
+const RATE_BUCKET_REFILL_PER_SECOND = 1;
+const inFlightFetches = new Map();
+const upstreamWaiters = [];
+const rateBucket = { tokens: RATE_BUCKET_CAPACITY, updatedAt: Date.now() };
+let upstreamActive = 0;
+const MEDIA_PROBE_BYTES = 32;
+const CONVERTED_IMAGE_QUALITY = 0.92;
+const SHORT_LINK_MAX_ENTRIES = 200;
+const shortLinkTargets = new Map();
+const CACHE_INDEX_STORAGE_KEY = 'tiktokCacheIndex';
+const CACHE_ENTRY_PREFIX = 'tiktokCacheEntry:';
+const LEGACY_CACHE_STORAGE_KEYS = ['tiktokCache', 'tiktokMediaCache'];
+const CACHE_MAX_ENTRIES = 200;
+const CACHE_MAX_BYTES = 2 * 1024 * 1024;
+const CACHE_SIGNED_URL_MARGIN_MS = 1000 * 60 * 2;
+const SIGNED_EXPIRY_PARAMS = ['x-expires', 'expire', 'expires', 'Expires'];
 const cache = new Map();
+const cacheStats = { hits: 0, misses: 0, evictions: 0 };
 let cacheLoadPromise = null;
 let persistTimeoutId = null;
 
+const TAB_STATE_STORAGE_KEY = 'tiktokTabState';
+const BADGE_COLORS = {
+  detected: '#64748b',
+  fetching: '#0369a1',
+  ready: '#1f8f6a',
+  error: '#c81e1e'
+};
+const BADGE_FLASH_MS = 3000;
+// "Download" shortcuts jump ahead of queued jobs and follow the save-as setting;
+// "add to queue" waits its turn behind them and never prompts.
+const COMMAND_ACTIONS = {
+  'download-video': { kind: 'auto', priority: true },
+  'download-music': { kind: 'music', priority: true },
+  'queue-video': { kind: 'auto', saveAs: false }
+};
+const tabStates = new Map();
+let tabStateLoadPromise = null;
+
+const QUEUE_STORAGE_KEY = 'tiktokDownloadQueue';
+const QUEUE_CONCURRENCY = 2;
+const QUEUE_MAX_FINISHED_JOBS = 50;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'skipped'];
+const DOWNLOAD_POLL_INTERVAL_MS = 1000;
+const INTERRUPT_REASONS = {
+  USER_CANCELED: 'Cancelled',
+  SERVER_FORBIDDEN: 'Link expired or blocked. Retry with a fresh URL.',
+  SERVER_UNAUTHORIZED: 'Link expired or blocked. Retry with a fresh URL.',
+  SERVER_BAD_CONTENT: 'Link expired or blocked. Retry with a fresh URL.',
+  SERVER_FAILED: 'The media server failed.',
+  NETWORK_FAILED: 'Network error.',
+  NETWORK_TIMEOUT: 'Network timeout.',
+  NETWORK_DISCONNECTED: 'Network disconnected.',
+  FILE_NO_SPACE: 'Not enough disk space.',
+  FILE_ACCESS_DENIED: 'Could not write the file.'
+};
+const HISTORY_STORAGE_KEY = 'tiktokDownloadHistory';
+const HISTORY_MAX_ENTRIES = 2000;
+const HISTORY_LIST_LIMIT = 200;
+const NOTIFICATION_GROUP_DELAY_MS = 1500;
+const NOTIFICATION_RETRY_PREFIX = 'ttdl-retry:';
+const NOTIFICATION_ICON = 'assets/safe.png';
+const pendingNotificationJobs = [];
+let notificationTimeoutId = null;
+const CONTEXT_MENU_ITEMS = [
+  { id: 'ttdl-video', kind: 'video', title: 'Download video' },
+  { id: 'ttdl-images', kind: 'images', title: 'Download photos' },
+  { id: 'ttdl-music', kind: 'music', title: 'Download music' },
+  { id: 'ttdl-queue', kind: 'auto', title: 'Add to queue' }
+];
+const CONTEXT_MENU_MEDIA_SUFFIX = '-media';
+const CONTEXT_MENU_LINK_PATTERNS = [
+  '*://*.tiktok.com/@*/video/*',
+  '*://*.tiktok.com/@*/photo/*',
+  '*://vm.tiktok.com/*',
+  '*://vt.tiktok.com/*',
+  '*://*.tiktok.com/t/*',
+  '*://*.tiktok.com/v/*',
+  '*://*.tiktok.com/embed/*',
+  '*://*.tiktok.com/player/*'
+];
+const downloadHistory = new Map();
+let historyLoadPromise = null;
+const BATCH_MANIFEST_STORAGE_KEY = 'tiktokBatchManifests';
+const BATCH_MANIFEST_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 7;
+const MANIFEST_COLUMNS = [
+  'id', 'author', 'authorName', 'createdAt', 'type', 'description', 'hashtags',
+  'plays', 'likes', 'comments', 'shares', 'saves', 'musicTitle', 'musicAuthor', 'sourceUrl', 'files', 'downloadedAt'
+];
+const downloadQueue = [];
+const activeJobIds = new Set();
+let queueLoadPromise = null;
+let downloadPollId = null;
+const batchManifests = {};
+let batchManifestLoadPromise = null;
+
+function getCacheTtlMs() {
+  const minutes = Number(ExtensionSettings.get().cacheTtlMinutes);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes * 60 * 1000 : ExtensionSettings.defaults.cacheTtlMinutes * 60 * 1000;
+}
+
+function extractSignedExpiry(url) {
+  if (!url) return null;
+  try {
+    const params = new URL(url).searchParams;
+    for (const name of SIGNED_EXPIRY_PARAMS) {
+      const value = Number(params.get(name));
+      if (Number.isFinite(value) && value > 0) {
+        return value < 1e12 ? value * 1000 : value;
+      }
+    }
+  } catch (error) {
+    logger.debug('Failed to read signed URL expiry', { url, error: error.message });
+  }
+  return null;
+}
+
+function computeExpiresAt(media, timestamp) {
+  const urls = [media.videoUrl, ...(media.imageUrls || []), media.music?.url];
+  const signedExpiries = urls.map(extractSignedExpiry).filter(Boolean);
+  const ttlExpiry = timestamp + getCacheTtlMs();
+  if (!signedExpiries.length) return ttlExpiry;
+  return Math.min(ttlExpiry, Math.min(...signedExpiries) - CACHE_SIGNED_URL_MARGIN_MS);
+}
+
+function isEntryExpired(entry, now = Date.now()) {
+  return now >= entry.expiresAt || now - entry.timestamp > getCacheTtlMs();
+}
+
 function ensureCacheLoaded() {
   if (cacheLoadPromise) return cacheLoadPromise;
 
   cacheLoadPromise = new Promise(resolve => {
-    chrome.storage.local.get({ [CACHE_STORAGE_KEY]: [] }, result => {
-      const storedEntries = Array.isArray(result[CACHE_STORAGE_KEY]) ? result[CACHE_STORAGE_KEY] : [];
-      const now = Date.now();
-      storedEntries.forEach(entry => {
-        if (!entry || !entry.key) return;
-        const age = now - (entry.timestamp || 0);
-        if (age <= CACHE_TTL_MS && entry.data) {
-          cache.set(entry.key, { data: entry.data, timestamp: entry.timestamp });
-        }
+    chrome.storage.local.get({ [CACHE_INDEX_STORAGE_KEY]: [] }, async result => {
+      await ExtensionSettings.load();
+      const index = Array.isArray(result[CACHE_INDEX_STORAGE_KEY]) ? result[CACHE_INDEX_STORAGE_KEY] : [];
+      const storageKeys = index.map(item => item.storageKey).filter(Boolean);
+
+      chrome.storage.local.get(storageKeys, stored => {
+        const now = Date.now();
+        const orphanedKeys = [];
+        index
+          .slice()
+          .sort((a, b) => (a.lastAccess || 0) - (b.lastAccess || 0))
+          .forEach(item => {
+            const data = stored[item.storageKey];
+            const entry = { ...item, data };
+            if (!item.key || !MediaProviders.isNormalizedMedia(data) || isEntryExpired(entry, now)) {
+              if (item.storageKey) orphanedKeys.push(item.storageKey);
+              return;
+            }
+            const previous = cache.get(item.key);
+            if (previous && previous.storageKey !== item.storageKey) orphanedKeys.push(previous.storageKey);
+            cache.set(item.key, entry);
+          });
+        // Dropped entries never reach `cache`, so their data has to be removed here or it stays in storage for good.
+        const liveKeys = new Set(Array.from(cache.values(), entry => entry.storageKey));
+        chrome.storage.local.remove([...LEGACY_CACHE_STORAGE_KEYS, ...orphanedKeys.filter(key => !liveKeys.has(key))]);
+        if (index.length !== cache.size) persistCacheIndex();
+        logger.debug('Cache hydrated', { size: cache.size, dropped: orphanedKeys.length });
+        resolve();
       });
-      if (storedEntries.length) pruneExpiredEntries();
-      logger.debug('Cache hydrated', { size: cache.size });
-      resolve();
     });
   });
 
   return cacheLoadPromise;
 }
 
+function buildCacheIndex() {
+  return Array.from(cache.entries()).map(([key, entry]) => ({
+    key,
+    storageKey: entry.storageKey,
+    timestamp: entry.timestamp,
+    expiresAt: entry.expiresAt,
+    lastAccess: entry.lastAccess,
+    size: entry.size
+  }));
+}
+
+function persistCacheIndex() {
+  persistTimeoutId = null;
+  const index = buildCacheIndex();
+  chrome.storage.local.set({ [CACHE_INDEX_STORAGE_KEY]: index }, () => {
+    if (chrome.runtime.lastError) {
+      logger.error('Failed to persist cache index', chrome.runtime.lastError);
+      return;
+    }
+    logger.debug('Cache index persisted', { size: index.length });
+  });
+}
+
+function schedulePersist() {
+  if (persistTimeoutId) return;
+  persistTimeoutId = setTimeout(persistCacheIndex, 2000);
+}
+
+function removeCacheEntry(key, reason) {
+  const entry = cache.get(key);
+  if (!entry) return false;
+  cache.delete(key);
+  chrome.storage.local.remove(entry.storageKey);
+  schedulePersist();
+  logger.debug('Cache entry removed', { key, reason });
+  return true;
+}
+
 function pruneExpiredEntries() {
   const now = Date.now();
   let removed = 0;
-  cache.forEach((value, key) => {
-    if (now - (value.timestamp || 0) > CACHE_TTL_MS) {
-      cache.delete(key);
-      removed += 1;
-    }
+  Array.from(cache.entries()).forEach(([key, entry]) => {
+    if (isEntryExpired(entry, now) && removeCacheEntry(key, 'expired')) removed += 1;
   });
   if (removed) {
     logger.info('Expired cache entries pruned', { removed, size: cache.size });
-    schedulePersist();
   }
 }
 
-function persistCache() {
-  persistTimeoutId = null;
-  const serialized = Array.from(cache.entries()).map(([key, value]) => ({
-    key,
-    data: value.data,
-    timestamp: value.timestamp
-  }));
-  chrome.storage.local.set({ [CACHE_STORAGE_KEY]: serialized }, () => {
-    if (chrome.runtime.lastError) {
-      logger.error('Failed to persist cache', chrome.runtime.lastError);
-      return;
-    }
-    logger.debug('Cache persisted', { size: serialized.length });
+function getCacheBytes() {
+  let total = 0;
+  cache.forEach(entry => {
+    total += entry.size || 0;
   });
+  return total;
 }
 
-function schedulePersist() {
-  if (persistTimeoutId) return;
-  persistTimeoutId = setTimeout(persistCache, 2000);
+function enforceCacheLimits() {
+  let bytes = getCacheBytes();
+  while (cache.size > CACHE_MAX_ENTRIES || (bytes > CACHE_MAX_BYTES && cache.size > 1)) {
+    const [oldestKey, oldest] = cache.entries().next().value;
+    bytes -= oldest.size || 0;
+    removeCacheEntry(oldestKey, 'evicted');
+    cacheStats.evictions += 1;
+  }
 }
 
 function cacheLookup(key) {
   if (!key) return null;
   const entry = cache.get(key);
-  if (!entry) return null;
-  const age = Date.now() - (entry.timestamp || 0);
-  if (age > CACHE_TTL_MS) {
-    cache.delete(key);
-    logger.debug('Cache entry expired', { key });
-    schedulePersist();
+  if (!entry) {
+    cacheStats.misses += 1;
+    return null;
+  }
+  if (isEntryExpired(entry)) {
+    removeCacheEntry(key, 'expired');
+    cacheStats.misses += 1;
     return null;
   }
-  return { data: entry.data, age };
+
+  cache.delete(key);
+  entry.lastAccess = Date.now();
+  cache.set(key, entry);
+  schedulePersist();
+  cacheStats.hits += 1;
+  return { data: entry.data, age: Date.now() - entry.timestamp };
 }
 
 function upsertCache(key, data) {
   if (!key || !data) return;
-  cache.set(key, { data, timestamp: Date.now() });
-  schedulePersist();
+  const now = Date.now();
+  const storageKey = `${CACHE_ENTRY_PREFIX}${key}`;
+  const entry = {
+    data,
+    storageKey,
+    timestamp: now,
+    lastAccess: now,
+    expiresAt: computeExpiresAt(data, now),
+    size: JSON.stringify(data).length
+  };
+
+  cache.delete(key);
+  cache.set(key, entry);
+  enforceCacheLimits();
+  // The index goes out with the entry so a worker killed before the debounced write can't leave unindexed data behind.
+  clearTimeout(persistTimeoutId);
+  persistTimeoutId = null;
+  chrome.storage.local.set({ [storageKey]: data, [CACHE_INDEX_STORAGE_KEY]: buildCacheIndex() }, () => {
+    if (chrome.runtime.lastError) {
+      logger.error('Failed to persist cache entry', chrome.runtime.lastError);
+    }
+  });
+}
+
+async function getCacheSummary() {
+  await ensureCacheLoaded();
+  pruneExpiredEntries();
+  const now = Date.now();
+  const entries = Array.from(cache.entries()).reverse().map(([key, entry]) => ({
+    key,
+    author: entry.data.author,
+    id: entry.data.id,
+    type: entry.data.type,
+    provider: entry.data.provider,
+    size: entry.size,
+    age: now - entry.timestamp,
+    expiresIn: Math.max(0, entry.expiresAt - now)
+  }));
+  return {
+    entries,
+    totalBytes: getCacheBytes(),
+    maxBytes: CACHE_MAX_BYTES,
+    maxEntries: CACHE_MAX_ENTRIES,
+    ...cacheStats
+  };
+}
+
+async function clearCache() {
+  await ensureCacheLoaded();
+  const storageKeys = Array.from(cache.values()).map(entry => entry.storageKey);
+  cache.clear();
+  chrome.storage.local.remove(storageKeys);
+  persistCacheIndex();
+  logger.info('Cache cleared', { removed: storageKeys.length });
+  return getCacheSummary();
+}
+
+async function removeCachedItem(key) {
+  await ensureCacheLoaded();
+  removeCacheEntry(key, 'removed by user');
+  return getCacheSummary();
+}
+
+function ensureTabStateLoaded() {
+  if (tabStateLoadPromise) return tabStateLoadPromise;
+
+  tabStateLoadPromise = new Promise(resolve => {
+    if (!chrome.storage.session) {
+      resolve();
+      return;
+    }
+    chrome.storage.session.get({ [TAB_STATE_STORAGE_KEY]: {} }, result => {
+      Object.entries(result[TAB_STATE_STORAGE_KEY] || {}).forEach(([tabId, entry]) => {
+        if (!tabStates.has(Number(tabId))) tabStates.set(Number(tabId), entry);
+      });
+      logger.debug('Tab state hydrated', { tabs: tabStates.size });
+      resolve();
+    });
+  });
+
+  return tabStateLoadPromise;
+}
+
+function persistTabStates() {
+  if (!chrome.storage.session) return;
+  const serialized = Object.fromEntries(tabStates.entries());
+  chrome.storage.session.set({ [TAB_STATE_STORAGE_KEY]: serialized }, () => {
+    if (chrome.runtime.lastError) {
+      logger.warn('Failed to persist tab state', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+function computeBadge(entry) {
+  if (!entry) return { text: '' };
+  switch (entry.status) {
+    case 'fetching':
+      return { text: '...', color: BADGE_COLORS.fetching };
+    case 'ready':
+      if (entry.mediaType === 'images') {
+        return { text: String(Math.min(entry.imageCount || 0, 999)), color: BADGE_COLORS.ready };
+      }
+      return { text: '\u2713', color: BADGE_COLORS.ready };
+    case 'error':
+      return { text: '!', color: BADGE_COLORS.error };
+    default:
+      return { text: '\u2022', color: BADGE_COLORS.detected };
+  }
+}
+
+function updateBadge(tabId, entry) {
+  const badge = computeBadge(entry);
+  chrome.action.setBadgeText({ tabId, text: badge.text }, () => {
+    if (chrome.runtime.lastError) {
+      logger.debug('Badge update skipped', { tabId, reason: chrome.runtime.lastError.message });
+    }
+  });
+  if (badge.color) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+  }
+}
+
+// Shows a short-lived badge for shortcut feedback, then falls back to the tab's detection state.
+function flashBadge(tabId, text, color) {
+  if (typeof tabId !== 'number' || tabId < 0) return;
+  chrome.action.setBadgeText({ tabId, text }, () => void chrome.runtime.lastError);
+  chrome.action.setBadgeBackgroundColor({ tabId, color }, () => void chrome.runtime.lastError);
+  setTimeout(() => updateBadge(tabId, tabStates.get(tabId)), BADGE_FLASH_MS);
+}
+
+async function setTabState(tabId, updates) {
+  if (typeof tabId !== 'number' || tabId < 0) return null;
+  await ensureTabStateLoaded();
+  const previous = tabStates.get(tabId) || {};
+  if (updates.url && previous.url && previous.url !== updates.url) {
+    previous.mediaType = null;
+    previous.imageCount = 0;
+    previous.error = null;
+  }
+  const entry = { ...previous, ...updates, updatedAt: Date.now() };
+  tabStates.set(tabId, entry);
+  updateBadge(tabId, entry);
+  persistTabStates();
+  logger.debug('Tab state updated', { tabId, status: entry.status, url: entry.url });
+  return entry;
+}
+
+async function clearTabState(tabId, reason) {
+  await ensureTabStateLoaded();
+  if (!tabStates.has(tabId)) return;
+  tabStates.delete(tabId);
+  updateBadge(tabId, null);
+  persistTabStates();
+  logger.debug('Tab state cleared', { tabId, reason });
+}
+
+function normalizeTikTokUrl(url) {
+  return TikTokUrls.normalize(url);
+}
+
+function resolveSaveAs(job) {
+  if (typeof job.saveAs === 'boolean') return job.saveAs;
+  const mode = ExtensionSettings.get().saveAsMode;
+  if (mode === 'always') return true;
+  if (mode === 'never') return false;
+  return job.kind !== 'images' || shouldBundleSlideshow(job);
+}
+
+function shouldBundleSlideshow(job) {
+  if (job.kind !== 'images') return false;
+  if (typeof job.bundle === 'boolean') return job.bundle;
+  return !!ExtensionSettings.get().slideshowZip.enabled;
+}
+
+function deriveCacheKey(url) {
+  return TikTokUrls.cacheKey(url);
+}
+
+// Short links (vm./vt./t/) only reveal the post ID after following TikTok's redirect.
+async function followShortLink(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { redirect: 'follow', credentials: 'omit', signal: controller.signal });
+    const record = TikTokUrls.parse(response.url);
+    if (!record || record.kind === 'short') {
+      throw FetchErrors.create(FetchErrors.codes.NOT_FOUND, 'Short link does not point to a TikTok post.');
+    }
+    return TikTokUrls.canonicalUrl(record);
+  } catch (error) {
+    if (error.code) throw error;
+    if (error.name === 'AbortError') {
+      throw FetchErrors.create(FetchErrors.codes.UPSTREAM_DOWN, `Short link timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+    }
+    if (navigator.onLine === false) {
+      throw FetchErrors.create(FetchErrors.codes.OFFLINE, 'No network connection');
+    }
+    throw FetchErrors.create(FetchErrors.codes.UPSTREAM_DOWN, error.message || 'Failed to resolve short link');
+  } finally {
+    clearTimeout(timeoutId);
+    controller.abort();
+  }
+}
+
+async function resolveCanonicalUrl(url, { lookupOnly = false } = {}) {
+  if (!TikTokUrls.isShortLink(url)) return TikTokUrls.normalize(url);
+
+  const key = TikTokUrls.cacheKey(url);
+  let pending = shortLinkTargets.get(key);
+  if (!pending) {
+    if (lookupOnly) return null;
+    pending = followShortLink(TikTokUrls.normalize(url));
+    shortLinkTargets.set(key, pending);
+    pending.catch(() => shortLinkTargets.delete(key));
+    if (shortLinkTargets.size > SHORT_LINK_MAX_ENTRIES) {
+      shortLinkTargets.delete(shortLinkTargets.keys().next().value);
+    }
+  }
+  const canonical = await pending;
+  logger.debug('Short link resolved', { url, canonical });
+  return canonical;
+}
+
+function parseRetryAfter(header) {
+  if (!header) return 0;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function computeBackoffMs(attempt) {
+  const exponential = Math.min(FETCH_BACKOFF_MAX_MS, FETCH_BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function classifyHttpStatus(status, retryAfterMs) {
+  const { codes } = FetchErrors;
+  if (status === 429) return FetchErrors.create(codes.RATE_LIMITED, `Rate limited (HTTP ${status})`, { status, retryAfterMs });
+  if (status === 404 || status === 403 || status === 410) {
+    return FetchErrors.create(codes.NOT_FOUND, `Post not found or private (HTTP ${status})`, { status });
+  }
+  if (status >= 500) return FetchErrors.create(codes.UPSTREAM_DOWN, `Service unavailable (HTTP ${status})`, { status, retryAfterMs });
+  return FetchErrors.create(codes.UNKNOWN, `HTTP error: ${status}`, { status });
+}
+
+function refillRateBucket() {
+  const now = Date.now();
+  const refill = ((now - rateBucket.updatedAt) / 1000) * RATE_BUCKET_REFILL_PER_SECOND;
+  rateBucket.tokens = Math.min(RATE_BUCKET_CAPACITY, rateBucket.tokens + refill);
+  rateBucket.updatedAt = now;
+}
+
+async function takeRateToken() {
+  for (;;) {
+    refillRateBucket();
+    if (rateBucket.tokens >= 1) {
+      rateBucket.tokens -= 1;
+      return;
+    }
+    const waitMs = Math.ceil(((1 - rateBucket.tokens) / RATE_BUCKET_REFILL_PER_SECOND) * 1000);
+    logger.debug('Rate limiter throttling upstream request', { waitMs });
+    await delay(waitMs);
+  }
+}
+
+function acquireUpstreamSlot() {
+  if (upstreamActive < UPSTREAM_MAX_CONCURRENT) {
+    upstreamActive += 1;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => upstreamWaiters.push(resolve));
+}
+
+function releaseUpstreamSlot() {
+  const next = upstreamWaiters.shift();
+  if (next) {
+    next();
+  } else {
+    upstreamActive -= 1;
+  }
+}
+
+async function withUpstreamLimit(task) {
+  await acquireUpstreamSlot();
+  try {
+    await takeRateToken();
+    return await task();
+  } finally {
+    releaseUpstreamSlot();
+  }
+}
+
+async function fetchJsonOnce(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+  } catch (networkError) {
+    if (networkError.name === 'AbortError') {
+      throw FetchErrors.create(FetchErrors.codes.UPSTREAM_DOWN, `Request timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+    }
+    if (navigator.onLine === false) {
+      throw FetchErrors.create(FetchErrors.codes.OFFLINE, 'No network connection');
+    }
+    throw FetchErrors.create(FetchErrors.codes.UPSTREAM_DOWN, networkError.message || 'Network error');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    throw classifyHttpStatus(response.status, parseRetryAfter(response.headers.get('Retry-After')));
+  }
+
+  try {
+    return await response.json();
+  } catch (parseError) {
+    throw FetchErrors.create(FetchErrors.codes.PARSE_ERROR, 'Failed to parse API response');
+  }
+}
+
+async function fetchJson(url) {
+  const timer = logger.time('fetch');
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const payload = await withUpstreamLimit(() => fetchJsonOnce(url));
+      timer.end(true, { attempts: attempt + 1 });
+      return payload;
+    } catch (error) {
+      const canRetry = FetchErrors.isRetryable(error.code) && attempt < FETCH_MAX_RETRIES;
+      const waitMs = Math.max(error.retryAfterMs || 0, computeBackoffMs(attempt));
+      if (!canRetry) {
+        timer.end(false, { code: error.code, attempts: attempt + 1 });
+        if (FetchErrors.isRetryable(error.code) && !error.retryAfterMs) error.retryAfterMs = waitMs;
+        throw error;
+      }
+      if (waitMs > FETCH_BACKOFF_MAX_MS) {
+        timer.end(false, { code: error.code, attempts: attempt + 1, retryAfterMs: waitMs });
+        throw error;
+      }
+      logger.warn('Fetch failed, retrying', { url, code: error.code, attempt: attempt + 1, waitMs });
+      await delay(waitMs);
+    }
+  }
 }
 
-function deriveCacheKey(request) {
-  if (request.cacheKey) return request.cacheKey;
+// With `probe`, only the first bytes are requested: enough for MediaTypes.sniff without downloading the file twice.
+async function fetchBinary(url, { probe = false } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
   try {
-    const apiUrl = new URL(request.apiUrl);
-    const targetUrl = apiUrl.searchParams.get('url') || apiUrl.searchParams.get('source');
-    return targetUrl ? decodeURIComponent(targetUrl) : request.apiUrl;
+    const response = await fetch(url, {
+      credentials: 'omit',
+      headers: probe ? { Range: `bytes=0-${MEDIA_PROBE_BYTES - 1}` } : undefined,
+      signal: controller.signal
+    });
+    if (!response.ok) throw classifyHttpStatus(response.status, 0);
+    const contentType = response.headers.get('Content-Type');
+    if (!probe) return { bytes: new Uint8Array(await response.arrayBuffer()), contentType };
+
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    reader.cancel().catch(() => {});
+    return { bytes: value ? value.subarray(0, MEDIA_PROBE_BYTES) : new Uint8Array(0), contentType };
   } catch (error) {
-    logger.warn('Failed to derive cache key, falling back to apiUrl', error);
-    return request.apiUrl;
+    if (error.code) throw error;
+    if (error.name === 'AbortError') {
+      throw FetchErrors.create(FetchErrors.codes.UPSTREAM_DOWN, `Media request timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+    }
+    if (navigator.onLine === false) {
+      throw FetchErrors.create(FetchErrors.codes.OFFLINE, 'No network connection');
+    }
+    throw FetchErrors.create(FetchErrors.codes.UPSTREAM_DOWN, error.message || 'Network error');
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
+function selectVideoVariant(media, variantId) {
+  const variants = media.videoVariants?.length ? media.videoVariants : VideoVariants.normalize([], media.videoUrl);
+  return VideoVariants.find(variants, variantId) || VideoVariants.select(variants, ExtensionSettings.get().videoQuality);
+}
+
+function flattenDownloadLinks(media) {
+  if (!media) return [];
+  const links = [];
+  if (media.videoUrl) links.push({ type: 'video', url: selectVideoVariant(media)?.url || media.videoUrl });
+  media.imageUrls.forEach((url, index) => links.push({ type: 'image', url, index }));
+  if (media.music) links.push({ type: 'music', url: media.music.url });
+  return links;
+}
+
 async function handleFetchTikTokData(request) {
+  await ExtensionSettings.load();
   await ensureCacheLoaded();
   pruneExpiredEntries();
 
-  const cacheKey = deriveCacheKey(request);
-  const cached = cacheLookup(cacheKey);
+  const url = await resolveCanonicalUrl(request.url, { lookupOnly: request.cacheOnly });
+  if (!url) {
+    logger.debug('Cache-only lookup skipped unresolved short link', { url: request.url });
+    return { media: null, provider: null, cacheHit: false, cacheAge: 0 };
+  }
+
+  const cacheKey = deriveCacheKey(url);
+  const cached = request.skipCache ? null : cacheLookup(cacheKey);
   if (cached) {
     logger.info('Cache hit', { cacheKey, age: cached.age });
-    return { data: cached.data, cacheHit: true, cacheAge: cached.age };
+    return { media: cached.data, provider: cached.data.provider, cacheHit: true, cacheAge: cached.age };
+  }
+  if (request.cacheOnly) {
+    logger.debug('Cache-only lookup missed', { cacheKey });
+    return { media: null, provider: null, cacheHit: false, cacheAge: 0 };
+  }
+
+  const pending = inFlightFetches.get(cacheKey);
+  if (pending) {
+    logger.info('Joining in-flight fetch', { cacheKey });
+    return pending;
   }
 
+  const fetchPromise = resolveAndCacheMedia(cacheKey, { ...request, url })
+    .finally(() => inFlightFetches.delete(cacheKey));
+  inFlightFetches.set(cacheKey, fetchPromise);
+  return fetchPromise;
+}
+
+async function resolveAndCacheMedia(cacheKey, request) {
   logger.info('Cache miss, fetching', { cacheKey });
-  const timer = logger.time('fetch');
+  const settings = ExtensionSettings.get();
+  const order = request.pageMedia ? ['page', ...settings.providerOrder] : settings.providerOrder;
+  const result = await MediaProviders.resolve(request.url, order, {
+    settings,
+    fetchJson,
+    logger,
+    pageMedia: request.pageMedia || null
+  });
+  if (result.failures.length) {
+    logger.info('Metadata served by fallback provider', { provider: result.provider, failed: result.failures.length });
+  }
 
-  let response;
+  upsertCache(cacheKey, result.media);
+  logger.debug('Cache updated', { cacheKey, provider: result.provider });
+  return { media: result.media, provider: result.provider, cacheHit: false, cacheAge: 0 };
+}
+
+async function handleCheckTikTokVideo(request, sender) {
+  const tabId = sender?.tab?.id;
+  await setTabState(tabId, { url: request.url, status: 'fetching' });
   try {
-    response = await fetch(request.apiUrl, { cache: 'no-store' });
-  } catch (networkError) {
-    timer.end(false, { reason: 'network failure' });
-    logger.error('Network error during fetch', networkError);
-    throw new Error(networkError.message || 'Network error');
+    const result = await handleFetchTikTokData({ url: request.url, pageMedia: request.pageMedia });
+    if (!result.media) throw new Error('No downloadable video or images found.');
+    const downloadLinks = flattenDownloadLinks(result.media);
+    logger.info('Metadata prefetched', { url: request.url, links: downloadLinks.length, cacheHit: result.cacheHit });
+    await setTabState(tabId, {
+      url: request.url,
+      status: 'ready',
+      mediaType: result.media.type,
+      imageCount: result.media.imageUrls.length,
+      error: null
+    });
+    return { downloadLinks, media: result.media, provider: result.provider, cacheHit: result.cacheHit };
+  } catch (error) {
+    await setTabState(tabId, { url: request.url, status: 'error', error: error.message, errorCode: error.code || null });
+    throw error;
   }
+}
 
-  if (!response.ok) {
-    timer.end(false, { status: response.status });
-    logger.warn('API responded with non-OK status', { status: response.status, url: request.apiUrl });
-    throw new Error(`HTTP error: ${response.status}`);
+async function handleVideoDetected(request, sender) {
+  const normalized = request.normalizedUrl || request.url;
+  const tabId = sender?.tab?.id;
+  await ensureTabStateLoaded();
+  const current = tabStates.get(tabId);
+  if (!current || current.url !== normalized) {
+    await setTabState(tabId, { url: normalized, status: 'detected' });
+  }
+  return { ack: true, url: normalized };
+}
+
+function startBrowserDownload({ url, filename, saveAs = false, conflictAction = 'uniquify' }) {
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download({ url, filename, saveAs, conflictAction }, downloadId => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      logger.info('Download started', { downloadId, filename });
+      resolve(downloadId);
+    });
+  });
+}
+
+function buildDownloadFilename(media, kind, index, extension) {
+  const templates = ExtensionSettings.get().filenameTemplates;
+  return FilenameTemplates.build(kind, media, { template: templates[kind], index, extension });
+}
+
+function buildSidecarFiles(media) {
+  const { sidecars } = ExtensionSettings.get();
+  const files = [];
+  if (sidecars.json) files.push({ url: null, sidecar: 'json', filename: buildDownloadFilename(media, 'metadata', undefined, 'json') });
+  if (sidecars.caption) files.push({ url: null, sidecar: 'caption', filename: buildDownloadFilename(media, 'metadata', undefined, 'txt') });
+  return files;
+}
+
+function buildMediaFiles(job) {
+  const { media, kind } = job;
+  if (shouldBundleSlideshow(job)) {
+    if (!media.imageUrls.length) throw new Error('No image URLs found for download.');
+    return [{ url: null, bundle: true, filename: buildDownloadFilename(media, 'bundle') }];
+  }
+  if (kind === 'music') {
+    if (!media.music?.url) throw new Error('No music found.');
+    return [{ url: media.music.url, kind, filename: buildDownloadFilename(media, kind) }];
+  }
+  if (kind === 'images') {
+    if (!media.imageUrls.length) throw new Error('No image URLs found for download.');
+    return media.imageUrls.map((url, index) => ({ url, kind, filename: buildDownloadFilename(media, kind, index) }));
+  }
+  const variant = selectVideoVariant(media, job.variantId);
+  if (!variant) throw new Error('No video URL found for download.');
+  return [{ url: variant.url, kind, filename: buildDownloadFilename(media, kind) }];
+}
+
+function buildJobFiles(job) {
+  return [...buildMediaFiles(job), ...buildSidecarFiles(job.media)];
+}
+
+function withExtension(filename, extension) {
+  if (!extension) return filename;
+  return filename.replace(/\.[^./]+$/, '') + `.${extension}`;
+}
+
+function getImageFormat(kind) {
+  return kind === 'images' ? ExtensionSettings.get().imageFormat : 'original';
+}
+
+async function convertImage(bytes, format) {
+  const target = MediaTypes.fromExtension(format);
+  const bitmap = await createImageBitmap(new Blob([bytes]));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d');
+  if (format === 'jpeg') {
+    // JPEG has no alpha channel; flatten transparent pixels onto white instead of black.
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, bitmap.width, bitmap.height);
   }
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: target.mime, quality: CONVERTED_IMAGE_QUALITY });
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), type: target };
+}
 
-  let payload;
+// Detects the real type of fetched bytes and converts images when an output format is configured.
+async function prepareMediaBytes(kind, { bytes, contentType }) {
+  const type = MediaTypes.detect({ bytes, contentType, kind });
+  const format = getImageFormat(kind);
+  if (format === 'original' || type?.extension === format) return { bytes, type };
   try {
-    payload = await response.json();
-  } catch (parseError) {
-    timer.end(false, { reason: 'json parse' });
-    logger.error('Failed to parse API response', parseError);
-    throw new Error('Failed to parse API response');
+    return await convertImage(bytes, format);
+  } catch (error) {
+    logger.warn('Image conversion failed, keeping original format', { format, error: error.message });
+    return { bytes, type };
   }
+}
 
-  timer.end(true, { status: response.status });
-  upsertCache(cacheKey, payload);
-  logger.debug('Cache updated', { cacheKey });
-  return { data: payload, cacheHit: false, cacheAge: 0 };
+async function probeMediaType(url, kind) {
+  try {
+    return MediaTypes.detect({ ...(await fetchBinary(url, { probe: true })), kind });
+  } catch (error) {
+    logger.debug('Media type probe failed, using template extension', { url, error: error.message });
+    return null;
+  }
 }
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (!request || !request.action) return false;
+function needsMediaProcessing(kind) {
+  if (kind === 'music') return !!ExtensionSettings.get().tagMusic;
+  return getImageFormat(kind) !== 'original';
+}
 
-  if (request.action === 'fetchTikTokData') {
-    handleFetchTikTokData(request)
-      .then(result => sendResponse(result))
-      .catch(error => {
-        logger.error('fetchTikTokData failed', error);
-        sendResponse({ error: error.message || 'Unknown error' });
-      });
-    return true;
+async function fetchCoverArt(url) {
+  if (!url) return null;
+  try {
+    const { bytes, contentType } = await fetchBinary(url);
+    const type = MediaTypes.detect({ bytes, contentType });
+    if (type?.extension !== 'jpeg' && type?.extension !== 'png') {
+      // Most players only render JPEG or PNG cover art.
+      return await convertImage(bytes, 'jpeg');
+    }
+    return { bytes, type };
+  } catch (error) {
+    logger.warn('Cover art unavailable', { url, error: error.message });
+    return null;
   }
+}
 
-  if (request.action === 'content.videoDetected') {
-    const normalized = request.normalizedUrl || request.url;
-    logger.debug('Video detection ping', { url: normalized });
-    sendResponse({ ack: true, url: normalized });
-    return false;
+// Only MP3 carries ID3v2; other audio containers are saved untouched.
+async function tagMusicBytes(job, prepared) {
+  if (!ExtensionSettings.get().tagMusic || prepared.type?.extension !== 'mp3') return prepared;
+  const { media } = job;
+  const cover = await fetchCoverArt(media.music.coverUrl);
+  const bytes = Id3Tags.write(prepared.bytes, {
+    title: media.music.title,
+    artist: media.music.author,
+    album: media.music.album || 'TikTok',
+    comment: job.sourceUrl || '',
+    cover: cover ? { bytes: cover.bytes, mime: cover.type.mime } : null
+  });
+  logger.debug('Music tagged', { id: job.id, cover: !!cover });
+  return { bytes, type: prepared.type };
+}
+
+async function downloadJobFile(job, file, saveAs) {
+  if (file.bundle) return downloadSlideshowBundle(job, file, saveAs);
+  if (file.sidecar) return downloadSidecar(job, file);
+
+  const kind = file.kind || job.kind;
+  if (needsMediaProcessing(kind)) {
+    let prepared = await prepareMediaBytes(kind, await fetchBinary(file.url));
+    if (kind === 'music') prepared = await tagMusicBytes(job, prepared);
+    return startBrowserDownload({
+      url: bytesToDataUrl(prepared.bytes, prepared.type?.mime || 'application/octet-stream'),
+      filename: withExtension(file.filename, prepared.type?.extension),
+      saveAs
+    });
   }
+  const type = await probeMediaType(file.url, kind);
+  return startBrowserDownload({ url: file.url, filename: withExtension(file.filename, type?.extension), saveAs });
+}
 
-  return false;
-});
+function bytesToDataUrl(bytes, mimeType) {
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
 
-logger.info('Background Service Worker started');
+function textToDataUrl(text, mimeType) {
+  return bytesToDataUrl(new TextEncoder().encode(text), `${mimeType};charset=utf-8`);
+}
+
+function buildMediaMetadata(job) {
+  const { media } = job;
+  return {
+    id: media.id,
+    author: media.author,
+    authorName: media.authorName || null,
+    description: media.description,
+    hashtags: media.hashtags || [],
+    createdAt: media.createdAt ? new Date(media.createdAt).toISOString() : null,
+    type: media.type,
+    sourceUrl: job.sourceUrl || null,
+    duration: media.duration || null,
+    imageCount: media.imageUrls.length,
+    stats: media.stats || null,
+    music: media.music
+      ? {
+        title: media.music.title,
+        author: media.music.author,
+        album: media.music.album || null,
+        duration: media.music.duration || null
+      }
+      : null,
+    provider: media.provider || null,
+    exportedAt: new Date().toISOString()
+  };
+}
+
+function buildCaptionText(media) {
+  const lines = [media.description || ''];
+  const missingTags = (media.hashtags || []).filter(tag => !(media.description || '').includes(`#${tag}`));
+  if (missingTags.length) lines.push(missingTags.map(tag => `#${tag}`).join(' '));
+  return `${lines.filter(Boolean).join('\n\n')}\n`;
+}
+
+function downloadSidecar(job, file) {
+  const url = file.sidecar === 'json'
+    ? textToDataUrl(JSON.stringify(buildMediaMetadata(job), null, 2), 'application/json')
+    : textToDataUrl(buildCaptionText(job.media), 'text/plain');
+  return startBrowserDownload({ url, filename: file.filename, saveAs: false });
+}
+
+function baseName(path) {
+  return path.split('/').pop();
+}
+
+// Fetches every slideshow asset into memory and saves them as one ZIP. The service worker
+// cannot create blob URLs, so the archive is handed to chrome.downloads as a data URL.
+async function downloadSlideshowBundle(job, file, saveAs) {
+  const { media } = job;
+  const options = ExtensionSettings.get().slideshowZip;
+  const assets = media.imageUrls.map((url, index) => ({
+    url,
+    kind: 'images',
+    name: baseName(buildDownloadFilename(media, 'images', index)),
+    required: true
+  }));
+  if (options.includeMusic && media.music?.url) {
+    assets.push({ url: media.music.url, kind: 'music', name: baseName(buildDownloadFilename(media, 'music')), required: false });
+  }
+
+  const entries = [];
+  for (let index = 0; index < assets.length; index += 1) {
+    const asset = assets[index];
+    try {
+      let prepared = await prepareMediaBytes(asset.kind, await fetchBinary(asset.url));
+      if (asset.kind === 'music') prepared = await tagMusicBytes(job, prepared);
+      entries.push({
+        name: withExtension(asset.name, prepared.type?.extension),
+        data: prepared.bytes,
+        modifiedAt: media.createdAt
+      });
+    } catch (error) {
+      if (asset.required) throw error;
+      logger.warn('Skipping optional bundle asset', { id: job.id, name: asset.name, error: error.message });
+    }
+    updateJob(job, { progress: { done: index + 1, total: assets.length + 1 } });
+  }
+  if (options.includeMetadata) {
+    entries.push({ name: 'metadata.json', data: JSON.stringify(buildMediaMetadata(job), null, 2) });
+  }
+
+  const archive = ZipArchive.create(entries);
+  logger.info('Slideshow bundle built', { id: job.id, entries: entries.length, bytes: archive.length });
+  return startBrowserDownload({ url: bytesToDataUrl(archive, 'application/zip'), filename: file.filename, saveAs });
+}
+
+function ensureQueueLoaded() {
+  if (queueLoadPromise) return queueLoadPromise;
+
+  queueLoadPromise = new Promise(resolve => {
+    chrome.storage.local.get({ [QUEUE_STORAGE_KEY]: [] }, async result => {
+      // Jobs settled right after a wake-up read notification and manifest settings, so load them first.
+      await ExtensionSettings.load();
+      const storedJobs = Array.isArray(result[QUEUE_STORAGE_KEY]) ? result[QUEUE_STORAGE_KEY] : [];
+      storedJobs.forEach(job => {
+        if (!job || !job.id) return;
+        if (job.status === 'running') job.status = 'queued';
+        downloadQueue.push(job);
+      });
+      logger.debug('Download queue hydrated', { jobs: downloadQueue.length });
+      resolve();
+      // Transfers keep running while the worker sleeps; catch up on anything that finished meanwhile.
+      downloadQueue
+        .filter(job => job.status === 'downloading')
+        .forEach(job => refreshFileStates(job).then(() => settleJob(job)));
+    });
+  });
+
+  return queueLoadPromise;
+}
+
+function isJobFinished(job) {
+  return FINISHED_JOB_STATUSES.includes(job.status);
+}
+
+function persistQueue() {
+  const finished = downloadQueue.filter(isJobFinished);
+  if (finished.length > QUEUE_MAX_FINISHED_JOBS) {
+    const overflow = new Set(finished.slice(0, finished.length - QUEUE_MAX_FINISHED_JOBS).map(job => job.id));
+    for (let index = downloadQueue.length - 1; index >= 0; index -= 1) {
+      if (overflow.has(downloadQueue[index].id)) downloadQueue.splice(index, 1);
+    }
+  }
+
+  chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: downloadQueue }, () => {
+    if (chrome.runtime.lastError) {
+      logger.error('Failed to persist download queue', chrome.runtime.lastError);
+    }
+  });
+}
+
+function summarizeTransfer(files) {
+  const started = files.filter(file => file.downloadId);
+  const active = started.filter(file => file.state === 'in_progress');
+  const totals = started.map(file => file.totalBytes);
+  return {
+    bytesReceived: started.reduce((sum, file) => sum + (file.bytesReceived || 0), 0),
+    totalBytes: totals.length && totals.every(Boolean) ? totals.reduce((sum, bytes) => sum + bytes, 0) : null,
+    speed: active.reduce((sum, file) => sum + (file.paused ? 0 : file.speed || 0), 0),
+    active: active.length,
+    paused: active.length > 0 && active.every(file => file.paused)
+  };
+}
+
+function summarizeJob(job) {
+  const { media, ...rest } = job;
+  return {
+    ...rest,
+    author: media?.author || null,
+    contentId: media?.id || null,
+    transfer: summarizeTransfer(job.files)
+  };
+}
+
+function broadcastQueue(changedJob) {
+  const jobs = downloadQueue.map(summarizeJob);
+  chrome.runtime.sendMessage({ action: 'queue.updated', jobs }, () => {
+    // No popup open is the common case; swallow the delivery error.
+    void chrome.runtime.lastError;
+  });
+  if (changedJob && typeof changedJob.originTabId === 'number') {
+    chrome.tabs.sendMessage(changedJob.originTabId, { action: 'queue.jobUpdated', job: summarizeJob(changedJob) }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+}
+
+function updateJob(job, updates) {
+  Object.assign(job, updates, { updatedAt: Date.now() });
+  persistQueue();
+  broadcastQueue(job);
+}
+
+// Retried files take their URL from the freshly fetched media; filenames are stable, so they match on those.
+function refreshRetriedFiles(job) {
+  const fresh = new Map(buildJobFiles(job).map(file => [file.filename, file]));
+  job.files.forEach(file => {
+    if (file.retry && fresh.has(file.filename)) file.url = fresh.get(file.filename).url;
+  });
+}
+
+async function runJob(job) {
+  updateJob(job, { status: 'running', error: null, errorCode: null });
+  logger.info('Download job started', { id: job.id, kind: job.kind });
+
+  if (!job.media) {
+    const result = await handleFetchTikTokData({ url: job.sourceUrl, skipCache: !!job.skipCache });
+    if (!result.media) throw new Error('No downloadable video or images found.');
+    if (job.status === 'cancelled') return;
+    updateJob(job, { media: result.media, skipCache: false });
+  }
+  if (job.kind === 'auto') {
+    updateJob(job, { kind: job.media.type });
+  }
+  if (!job.force && ExtensionSettings.get().duplicateMode === 'skip') {
+    await ensureHistoryLoaded();
+    const duplicate = findHistoryDuplicate(job.media.id, job.kind);
+    if (duplicate) {
+      updateJob(job, { status: 'skipped', error: `Already downloaded on ${new Date(duplicate.downloadedAt).toLocaleDateString()}.` });
+      logger.info('Download job skipped as duplicate', { id: job.id, contentId: job.media.id });
+      if (job.batchId) flushBatchManifest(job.batchId);
+      reportJobFinished(job);
+      return;
+    }
+  }
+  await ExtensionSettings.load();
+  if (!job.files.length) {
+    updateJob(job, { files: buildJobFiles(job) });
+  } else if (job.files.some(file => file.retry)) {
+    refreshRetriedFiles(job);
+  }
+
+  const saveAs = resolveSaveAs(job);
+  for (let index = 0; index < job.files.length; index += 1) {
+    const file = job.files[index];
+    if (job.status === 'cancelled') return;
+    if (file.downloadId || file.error) continue;
+    try {
+      file.downloadId = await downloadJobFile(job, file, saveAs);
+      file.state = 'in_progress';
+      if (job.status === 'cancelled') {
+        callDownloadsApi('cancel', file.downloadId).catch(() => {});
+        return;
+      }
+      startDownloadPolling();
+    } catch (error) {
+      logger.warn('Download job file failed', { id: job.id, index, error: error.message });
+      file.error = error.message;
+    }
+    updateJob(job, { progress: { done: index + 1, total: job.files.length } });
+  }
+
+  const mediaFiles = job.files.filter(file => !file.sidecar);
+  const mediaFailures = mediaFiles.filter(file => file.error);
+  if (mediaFailures.length && mediaFailures.length === mediaFiles.length) {
+    throw new Error(mediaFailures[0].error);
+  }
+  if (job.status === 'cancelled') return;
+  job.status = 'downloading';
+  await refreshFileStates(job);
+  settleJob(job);
+}
+
+function searchDownloads(query) {
+  return new Promise(resolve => {
+    chrome.downloads.search(query, items => {
+      if (chrome.runtime.lastError) {
+        logger.warn('Download search failed', chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      resolve(items || []);
+    });
+  });
+}
+
+function callDownloadsApi(method, downloadId) {
+  return new Promise((resolve, reject) => {
+    chrome.downloads[method](downloadId, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function describeInterruptReason(reason) {
+  return INTERRUPT_REASONS[reason] || `Download interrupted (${reason || 'unknown reason'}).`;
+}
+
+function applyDownloadItem(file, item) {
+  file.state = item.state;
+  file.paused = !!item.paused;
+  file.bytesReceived = item.bytesReceived;
+  file.totalBytes = item.totalBytes > 0 ? item.totalBytes : file.totalBytes || null;
+  if (item.filename) file.savedPath = item.filename;
+  if (item.state === 'interrupted') file.error = describeInterruptReason(item.error);
+  if (item.state !== 'in_progress') file.speed = 0;
+}
+
+// Data URL downloads can finish before chrome.downloads.download calls back, so read the state once directly.
+async function refreshFileStates(job) {
+  const started = job.files.filter(file => file.downloadId && file.state === 'in_progress');
+  for (const file of started) {
+    const [item] = await searchDownloads({ id: file.downloadId });
+    if (item) {
+      applyDownloadItem(file, item);
+    } else {
+      file.state = 'interrupted';
+      file.error = 'Download was removed from the browser.';
+    }
+  }
+}
+
+function findJobByDownloadId(downloadId) {
+  for (const job of downloadQueue) {
+    const file = job.files.find(entry => entry.downloadId === downloadId);
+    if (file) return { job, file };
+  }
+  return null;
+}
+
+function describeJobSubject(job) {
+  const media = job.media;
+  return media?.author && media?.id ? `${media.author}-${media.id}` : job.sourceUrl || 'TikTok post';
+}
+
+// Jobs with failures get a Retry button; their IDs travel in the notification ID so a restarted worker can still retry them.
+function showNotification(title, message, failedJobIds = []) {
+  const notificationId = failedJobIds.length
+    ? `${NOTIFICATION_RETRY_PREFIX}${failedJobIds.join(',')}`
+    : `ttdl-${Date.now().toString(36)}`;
+  const options = { type: 'basic', iconUrl: NOTIFICATION_ICON, title, message };
+  if (failedJobIds.length) options.buttons = [{ title: 'Retry' }];
+  chrome.notifications.create(notificationId, options, () => {
+    if (chrome.runtime.lastError) logger.warn('Notification failed', chrome.runtime.lastError.message);
+  });
+}
+
+function notifyBatchFinished(batchId) {
+  const jobs = downloadQueue.filter(job => job.batchId === batchId);
+  if (jobs.some(job => !isJobFinished(job))) return;
+  if (!ExtensionSettings.get().notifications.batches) return;
+  const failed = jobs.filter(job => job.status === 'failed');
+  const succeeded = jobs.filter(job => job.status === 'completed').length;
+  const skipped = jobs.filter(job => job.status === 'skipped').length;
+  showNotification(
+    'Batch download finished',
+    `${succeeded}/${jobs.length} succeeded${failed.length ? `, ${failed.length} failed` : ''}${skipped ? `, ${skipped} skipped` : ''}.`,
+    failed.map(job => job.id)
+  );
+}
+
+// Single jobs that finish close together are reported in one notification instead of one each.
+function flushJobNotifications() {
+  notificationTimeoutId = null;
+  const jobs = pendingNotificationJobs.splice(0);
+  const { notifications } = ExtensionSettings.get();
+  const failed = jobs.filter(job => job.status === 'failed' && notifications.failed);
+  const completed = jobs.filter(job => job.status === 'completed' && notifications.completed);
+  if (!failed.length && !completed.length) return;
+
+  if (failed.length + completed.length === 1) {
+    const [job] = failed.length ? failed : completed;
+    if (job.status === 'failed') {
+      showNotification('Download failed', `${describeJobSubject(job)}: ${job.error || 'Unknown error'}`, [job.id]);
+    } else {
+      showNotification('Download complete', `${describeJobSubject(job)}${job.error ? ` (${job.error})` : ''}`);
+    }
+    return;
+  }
+  showNotification(
+    'Downloads finished',
+    `${completed.length} completed${failed.length ? `, ${failed.length} failed` : ''}.`,
+    failed.map(job => job.id)
+  );
+}
+
+function notifyJobFinished(job) {
+  if (!ExtensionSettings.get().notifications.enabled) return;
+  if (job.batchId) {
+    notifyBatchFinished(job.batchId);
+    return;
+  }
+  if (job.status !== 'completed' && job.status !== 'failed') return;
+  pendingNotificationJobs.push(job);
+  clearTimeout(notificationTimeoutId);
+  notificationTimeoutId = setTimeout(flushJobNotifications, NOTIFICATION_GROUP_DELAY_MS);
+}
+
+// Shortcut jobs have no popup to report to, so their outcome shows on the badge of the tab they came from.
+function flashCommandOutcome(job) {
+  if (typeof job.commandTabId !== 'number') return;
+  if (job.status === 'completed') flashBadge(job.commandTabId, '\u2713', BADGE_COLORS.ready);
+  if (job.status === 'failed') flashBadge(job.commandTabId, '!', BADGE_COLORS.error);
+  if (job.status === 'skipped') flashBadge(job.commandTabId, 'dup', BADGE_COLORS.detected);
+}
+
+function reportJobFinished(job) {
+  flashCommandOutcome(job);
+  notifyJobFinished(job);
+}
+
+async function handleNotificationButton(notificationId) {
+  chrome.notifications.clear(notificationId);
+  if (!notificationId.startsWith(NOTIFICATION_RETRY_PREFIX)) return;
+  const jobIds = notificationId.slice(NOTIFICATION_RETRY_PREFIX.length).split(',');
+  await Promise.all(jobIds.map(jobId => retryJob(jobId)
+    .catch(error => logger.warn('Retry from notification failed', { id: jobId, error: error.message }))));
+  logger.info('Downloads retried from notification', { count: jobIds.length });
+}
+
+function settleJob(job) {
+  if (job.status !== 'downloading') {
+    updateJob(job, {});
+    return;
+  }
+  if (job.files.some(file => file.downloadId && file.state === 'in_progress')) {
+    updateJob(job, {});
+    return;
+  }
+
+  const mediaFiles = job.files.filter(file => !file.sidecar);
+  const failures = job.files.filter(file => file.error);
+  const mediaFailures = failures.filter(file => !file.sidecar);
+  if (mediaFailures.length === mediaFiles.length) {
+    updateJob(job, { status: 'failed', error: mediaFailures[0]?.error || 'Download failed.' });
+    logger.warn('Download job failed during transfer', { id: job.id, error: job.error });
+  } else {
+    updateJob(job, {
+      status: 'completed',
+      error: failures.length ? `${failures.length} of ${job.files.length} files failed.` : null
+    });
+    logger.info('Download job completed', { id: job.id, failures: failures.length });
+  }
+  if (job.status === 'completed') recordHistory(job);
+  const manifestUpdate = job.status === 'completed' ? recordManifestRow(job) : Promise.resolve();
+  if (job.batchId) manifestUpdate.then(() => flushBatchManifest(job.batchId));
+  reportJobFinished(job);
+}
+
+// chrome.downloads.onChanged does not report byte counts, so active transfers are sampled instead.
+async function pollDownloadProgress() {
+  const items = await searchDownloads({ state: 'in_progress' });
+  const changedJobs = new Set();
+  items.forEach(item => {
+    const match = findJobByDownloadId(item.id);
+    if (!match) return;
+    const { job, file } = match;
+    const now = Date.now();
+    const elapsedSeconds = file.sampledAt ? (now - file.sampledAt) / 1000 : 0;
+    const receivedDelta = item.bytesReceived - (file.bytesReceived || 0);
+    if (elapsedSeconds > 0 && receivedDelta >= 0) file.speed = Math.round(receivedDelta / elapsedSeconds);
+    file.sampledAt = now;
+    applyDownloadItem(file, item);
+    changedJobs.add(job);
+  });
+  changedJobs.forEach(job => broadcastQueue(job));
+  if (!changedJobs.size) stopDownloadPolling();
+}
+
+function startDownloadPolling() {
+  if (downloadPollId) return;
+  downloadPollId = setInterval(() => {
+    pollDownloadProgress().catch(error => logger.warn('Download progress poll failed', { error: error.message }));
+  }, DOWNLOAD_POLL_INTERVAL_MS);
+}
+
+function stopDownloadPolling() {
+  clearInterval(downloadPollId);
+  downloadPollId = null;
+}
+
+async function handleDownloadChanged(delta) {
+  await Promise.all([ensureQueueLoaded(), ExtensionSettings.load()]);
+  const match = findJobByDownloadId(delta.id);
+  if (!match) return;
+  const { job, file } = match;
+  if (delta.filename?.current) file.savedPath = delta.filename.current;
+  if (delta.paused) file.paused = delta.paused.current;
+  if (delta.state?.current === 'complete') {
+    file.state = 'complete';
+    file.paused = false;
+    file.speed = 0;
+    if (file.totalBytes) file.bytesReceived = file.totalBytes;
+  }
+  if (delta.state?.current === 'interrupted') {
+    file.state = 'interrupted';
+    file.speed = 0;
+    file.error = describeInterruptReason(delta.error?.current);
+    logger.warn('Download interrupted', { id: job.id, downloadId: delta.id, reason: delta.error?.current });
+  }
+  if (delta.state?.current === 'in_progress') {
+    file.state = 'in_progress';
+    file.error = null;
+    startDownloadPolling();
+  }
+  settleJob(job);
+}
+
+function findJob(jobId) {
+  const job = downloadQueue.find(entry => entry.id === jobId);
+  if (!job) throw new Error('Download job not found.');
+  return job;
+}
+
+async function cancelJob(jobId) {
+  await ensureQueueLoaded();
+  const job = findJob(jobId);
+  if (isJobFinished(job)) return summarizeJob(job);
+
+  const active = job.files.filter(file => file.downloadId && file.state === 'in_progress');
+  await Promise.all(active.map(file => callDownloadsApi('cancel', file.downloadId)
+    .catch(error => logger.warn('Failed to cancel download', { downloadId: file.downloadId, error: error.message }))));
+  active.forEach(file => {
+    file.state = 'interrupted';
+    file.error = describeInterruptReason('USER_CANCELED');
+  });
+  updateJob(job, { status: 'cancelled', error: null });
+  logger.info('Download job cancelled', { id: job.id, active: active.length });
+  if (job.batchId) flushBatchManifest(job.batchId);
+  reportJobFinished(job);
+  return summarizeJob(job);
+}
+
+async function setJobPaused(jobId, paused) {
+  await ensureQueueLoaded();
+  const job = findJob(jobId);
+  const method = paused ? 'pause' : 'resume';
+  const active = job.files.filter(file => file.downloadId && file.state === 'in_progress');
+  if (!active.length) throw new Error('Nothing is downloading for this job.');
+  await Promise.all(active.map(async file => {
+    await callDownloadsApi(method, file.downloadId);
+    file.paused = paused;
+  }));
+  updateJob(job, {});
+  logger.info(`Download job ${paused ? 'paused' : 'resumed'}`, { id: job.id });
+  return summarizeJob(job);
+}
+
+// Re-runs a finished job. With a source URL the metadata is fetched again, skipping the cache,
+// because failed transfers are usually expired signed CDN links.
+async function retryJob(jobId) {
+  await ensureQueueLoaded();
+  const job = findJob(jobId);
+  if (!isJobFinished(job)) throw new Error('Only finished downloads can be retried.');
+  const refetch = !!job.sourceUrl;
+  // Files that already landed stay untouched; only failed ones are fetched again.
+  const delivered = job.files.some(file => file.downloadId && !file.error);
+  const files = delivered
+    ? job.files.map(file => (file.error ? { url: file.url, kind: file.kind, filename: file.filename, bundle: file.bundle, sidecar: file.sidecar, retry: true } : file))
+    : [];
+  updateJob(job, {
+    status: 'queued',
+    media: refetch ? null : job.media,
+    skipCache: refetch,
+    force: true,
+    files,
+    progress: { done: 0, total: 0 },
+    error: null,
+    errorCode: null
+  });
+  logger.info('Download job retried', { id: job.id, refetch });
+  pumpQueue();
+  return summarizeJob(job);
+}
+
+function ensureBatchManifestsLoaded() {
+  if (batchManifestLoadPromise) return batchManifestLoadPromise;
+
+  batchManifestLoadPromise = new Promise(resolve => {
+    chrome.storage.local.get({ [BATCH_MANIFEST_STORAGE_KEY]: {} }, result => {
+      const stored = result[BATCH_MANIFEST_STORAGE_KEY] || {};
+      const cutoff = Date.now() - BATCH_MANIFEST_MAX_AGE_MS;
+      Object.entries(stored).forEach(([batchId, manifest]) => {
+        if (manifest?.updatedAt > cutoff) batchManifests[batchId] = manifest;
+      });
+      resolve();
+    });
+  });
+
+  return batchManifestLoadPromise;
+}
+
+function persistBatchManifests() {
+  chrome.storage.local.set({ [BATCH_MANIFEST_STORAGE_KEY]: batchManifests }, () => {
+    if (chrome.runtime.lastError) {
+      logger.error('Failed to persist batch manifests', chrome.runtime.lastError);
+    }
+  });
+}
+
+// Chrome reports the absolute saved path, which has the sniffed extension and any uniquified name.
+function getSavedFilename(file) {
+  if (!file.savedPath) return file.filename;
+  const folder = file.filename.slice(0, file.filename.lastIndexOf('/') + 1);
+  return `${folder}${file.savedPath.split(/[\\/]/).pop()}`;
+}
+
+function buildManifestRow(job) {
+  const { media } = job;
+  return {
+    jobId: job.id,
+    id: media.id,
+    author: media.author,
+    authorName: media.authorName || '',
+    createdAt: media.createdAt ? new Date(media.createdAt).toISOString() : '',
+    type: media.type,
+    description: media.description,
+    hashtags: (media.hashtags || []).join(' '),
+    plays: media.stats?.plays ?? '',
+    likes: media.stats?.likes ?? '',
+    comments: media.stats?.comments ?? '',
+    shares: media.stats?.shares ?? '',
+    saves: media.stats?.saves ?? '',
+    musicTitle: media.music?.title || '',
+    musicAuthor: media.music?.author || '',
+    sourceUrl: job.sourceUrl || '',
+    files: job.files.filter(file => file.downloadId && !file.error).map(getSavedFilename).join(' | '),
+    downloadedAt: new Date().toISOString()
+  };
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeManifest(manifest) {
+  if (manifest.format === 'jsonl') {
+    return manifest.rows.map(({ jobId, ...row }) => JSON.stringify(row)).join('\n') + '\n';
+  }
+  const lines = [MANIFEST_COLUMNS.join(',')];
+  manifest.rows.forEach(row => lines.push(MANIFEST_COLUMNS.map(column => escapeCsvValue(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+async function recordManifestRow(job) {
+  if (!job.batchId) return;
+  await ExtensionSettings.load();
+  const format = ExtensionSettings.get().sidecars.manifest;
+  if (format === 'off') return;
+  await ensureBatchManifestsLoaded();
+  const manifest = batchManifests[job.batchId] || { format, rows: [], updatedAt: 0 };
+  // A retried job replaces its earlier row instead of adding a second one for the same post.
+  manifest.rows = manifest.rows.filter(row => row.jobId !== job.id);
+  manifest.rows.push(buildManifestRow(job));
+  manifest.updatedAt = Date.now();
+  batchManifests[job.batchId] = manifest;
+  persistBatchManifests();
+}
+
+// Rows are keyed by job; the manifest file is rewritten in place once the batch has no pending jobs.
+async function flushBatchManifest(batchId) {
+  await ensureBatchManifestsLoaded();
+  const manifest = batchManifests[batchId];
+  if (!manifest?.rows.length) return;
+  const pending = downloadQueue.some(job => job.batchId === batchId && !isJobFinished(job));
+  if (pending) return;
+
+  const filename = `${FilenameTemplates.sanitizeValue(batchId)}-manifest.${manifest.format}`;
+  const mimeType = manifest.format === 'jsonl' ? 'application/x-ndjson' : 'text/csv';
+  try {
+    await startBrowserDownload({
+      url: textToDataUrl(serializeManifest(manifest), mimeType),
+      filename,
+      saveAs: false,
+      conflictAction: 'overwrite'
+    });
+    logger.info('Batch manifest written', { batchId, rows: manifest.rows.length });
+  } catch (error) {
+    logger.error('Failed to write batch manifest', { batchId, error: error.message });
+  }
+}
+
+function pumpQueue() {
+  downloadQueue
+    .filter(job => job.status === 'queued' && !activeJobIds.has(job.id))
+    .slice(0, Math.max(0, QUEUE_CONCURRENCY - activeJobIds.size))
+    .forEach(job => {
+      activeJobIds.add(job.id);
+      runJob(job)
+        .catch(error => {
+          if (job.status === 'cancelled') return;
+          logger.error('Download job failed', { id: job.id, error: error.message, code: error.code });
+          updateJob(job, { status: 'failed', error: error.message || 'Unknown error', errorCode: error.code || null });
+          if (job.batchId) flushBatchManifest(job.batchId);
+          reportJobFinished(job);
+        })
+        .finally(() => {
+          activeJobIds.delete(job.id);
+          pumpQueue();
+        });
+    });
+}
+
+function ensureHistoryLoaded() {
+  if (historyLoadPromise) return historyLoadPromise;
+
+  historyLoadPromise = new Promise(resolve => {
+    chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] }, result => {
+      const stored = Array.isArray(result[HISTORY_STORAGE_KEY]) ? result[HISTORY_STORAGE_KEY] : [];
+      stored
+        .filter(entry => entry && entry.id)
+        .sort((a, b) => a.downloadedAt - b.downloadedAt)
+        .forEach(entry => downloadHistory.set(entry.id, entry));
+      logger.debug('Download history hydrated', { entries: downloadHistory.size });
+      resolve();
+    });
+  });
+
+  return historyLoadPromise;
+}
+
+function persistHistory() {
+  while (downloadHistory.size > HISTORY_MAX_ENTRIES) {
+    downloadHistory.delete(downloadHistory.keys().next().value);
+  }
+  chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: Array.from(downloadHistory.values()) }, () => {
+    if (chrome.runtime.lastError) {
+      logger.error('Failed to persist download history', chrome.runtime.lastError);
+    }
+  });
+}
+
+function getJobContentId(job) {
+  return job.media?.id || TikTokUrls.parse(job.sourceUrl)?.id || null;
+}
+
+// A post counts as downloaded per kind, so grabbing the music of an already saved video is not a duplicate.
+function findHistoryDuplicate(contentId, kind) {
+  const entry = contentId ? downloadHistory.get(contentId) : null;
+  if (!entry) return null;
+  const effectiveKind = kind === 'auto' ? entry.type : kind;
+  return entry.kinds.includes(effectiveKind) ? entry : null;
+}
+
+async function recordHistory(job) {
+  await ensureHistoryLoaded();
+  const { media } = job;
+  const saved = job.files.filter(file => file.state === 'complete' && !file.sidecar);
+  if (!media?.id || !saved.length) return;
+
+  const previous = downloadHistory.get(media.id);
+  const files = saved.map(file => ({
+    downloadId: file.downloadId,
+    filename: file.savedPath ? file.savedPath.split(/[\\/]/).pop() : baseName(file.filename),
+    kind: job.kind
+  }));
+  downloadHistory.delete(media.id);
+  downloadHistory.set(media.id, {
+    id: media.id,
+    author: media.author,
+    type: media.type,
+    description: media.description || '',
+    kinds: Array.from(new Set([...(previous?.kinds || []), job.kind])),
+    files: [...files, ...(previous?.files || []).filter(file => file.kind !== job.kind)],
+    sourceUrl: job.sourceUrl || previous?.sourceUrl || TikTokUrls.canonicalUrl({ kind: 'video', id: media.id }),
+    downloadedAt: Date.now()
+  });
+  persistHistory();
+}
+
+async function listHistory(query) {
+  await ensureHistoryLoaded();
+  const needle = String(query || '').trim().toLowerCase();
+  const entries = Array.from(downloadHistory.values())
+    .reverse()
+    .filter(entry => !needle || [entry.id, entry.author, entry.description, ...entry.files.map(file => file.filename)]
+      .some(value => String(value || '').toLowerCase().includes(needle)));
+  return { entries: entries.slice(0, HISTORY_LIST_LIMIT), total: downloadHistory.size, matched: entries.length };
+}
+
+async function checkHistory(items) {
+  await ensureHistoryLoaded();
+  const duplicates = {};
+  (items || []).forEach(item => {
+    const contentId = item.id || TikTokUrls.parse(item.url)?.id;
+    const entry = findHistoryDuplicate(contentId, item.kind || 'auto');
+    if (entry) duplicates[contentId] = entry;
+  });
+  return { duplicates, mode: ExtensionSettings.get().duplicateMode };
+}
+
+async function removeHistoryEntry(id) {
+  await ensureHistoryLoaded();
+  downloadHistory.delete(id);
+  persistHistory();
+  logger.info('History entry removed', { id });
+  return listHistory();
+}
+
+async function redownloadHistoryEntry(id, kind) {
+  await ensureHistoryLoaded();
+  const entry = downloadHistory.get(id);
+  if (!entry) throw new Error('History entry not found.');
+  return enqueueDownloads([{ kind: kind || entry.kinds[0] || 'auto', sourceUrl: entry.sourceUrl, force: true }]);
+}
+
+async function enqueueDownloads(requests, sender) {
+  await ensureQueueLoaded();
+  await Promise.all([ensureHistoryLoaded(), ExtensionSettings.load()]);
+  const duplicateMode = ExtensionSettings.get().duplicateMode;
+  const duplicates = [];
+  const skipped = [];
+  const accepted = requests.filter(entry => {
+    const contentId = entry.media?.id || TikTokUrls.parse(entry.sourceUrl)?.id;
+    const duplicate = duplicateMode !== 'allow' && !entry.force && findHistoryDuplicate(contentId, entry.kind || 'video');
+    if (!duplicate) return true;
+    duplicates.push(contentId);
+    if (duplicateMode !== 'skip') return true;
+    skipped.push(contentId);
+    return false;
+  });
+  if (skipped.length) logger.info('Skipped already downloaded posts', { count: skipped.length });
+
+  const added = accepted.map(entry => {
+    const job = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      kind: entry.kind || 'video',
+      sourceUrl: entry.sourceUrl || null,
+      media: entry.media || null,
+      saveAs: typeof entry.saveAs === 'boolean' ? entry.saveAs : undefined,
+      bundle: typeof entry.bundle === 'boolean' ? entry.bundle : undefined,
+      variantId: entry.variantId || null,
+      force: !!entry.force,
+      commandTabId: typeof entry.commandTabId === 'number' ? entry.commandTabId : null,
+      batchId: entry.batchId || null,
+      originTabId: sender?.tab?.id,
+      status: 'queued',
+      files: [],
+      progress: { done: 0, total: 0 },
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    if (!job.media && !job.sourceUrl) throw new Error('Download job needs a source URL or media.');
+    const firstQueued = entry.priority ? downloadQueue.findIndex(queued => queued.status === 'queued') : -1;
+    if (firstQueued === -1) {
+      downloadQueue.push(job);
+    } else {
+      downloadQueue.splice(firstQueued, 0, job);
+    }
+    return job;
+  });
+
+  persistQueue();
+  broadcastQueue();
+  logger.info('Download jobs queued', { count: added.length });
+  pumpQueue();
+  return { jobs: added.map(summarizeJob), duplicates, skipped };
+}
+
+async function clearFinishedJobs() {
+  await ensureQueueLoaded();
+  for (let index = downloadQueue.length - 1; index >= 0; index -= 1) {
+    if (isJobFinished(downloadQueue[index])) downloadQueue.splice(index, 1);
+  }
+  persistQueue();
+  broadcastQueue();
+  return { jobs: downloadQueue.map(summarizeJob) };
+}
+
+function sendTabMessage(tabId, message, options = {}) {
+  return new Promise(resolve => {
+    chrome.tabs.sendMessage(tabId, message, options, response => {
+      resolve(chrome.runtime.lastError ? null : response);
+    });
+  });
+}
+
+// Link entries match on the href, so they also show up on TikTok links shared on other sites.
+// Video entries only exist on TikTok pages, where the content script knows which post was clicked.
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        id: item.id,
+        title: item.title,
+        contexts: ['link'],
+        targetUrlPatterns: CONTEXT_MENU_LINK_PATTERNS
+      });
+      chrome.contextMenus.create({
+        id: `${item.id}${CONTEXT_MENU_MEDIA_SUFFIX}`,
+        title: item.title,
+        contexts: ['video'],
+        documentUrlPatterns: ['https://*.tiktok.com/*']
+      });
+    });
+    logger.debug('Context menus created', { count: CONTEXT_MENU_ITEMS.length });
+  });
+}
+
+async function resolveContextMenuTarget(info, tab) {
+  if (info.linkUrl && TikTokUrls.isTikTokUrl(info.linkUrl)) {
+    return { sourceUrl: normalizeTikTokUrl(info.linkUrl), media: null };
+  }
+  if (typeof tab?.id === 'number') {
+    const post = await sendTabMessage(tab.id, { action: 'page.getContextPost' }, { frameId: info.frameId || 0 });
+    if (post?.url) return { sourceUrl: post.url, media: post.media || null };
+  }
+  if (info.pageUrl && TikTokUrls.parse(info.pageUrl)?.id) {
+    return { sourceUrl: normalizeTikTokUrl(info.pageUrl), media: null };
+  }
+  return null;
+}
+
+async function handleContextMenuClick(info, tab) {
+  const menuId = String(info.menuItemId).replace(CONTEXT_MENU_MEDIA_SUFFIX, '');
+  const item = CONTEXT_MENU_ITEMS.find(entry => entry.id === menuId);
+  if (!item) return;
+
+  const target = await resolveContextMenuTarget(info, tab);
+  if (!target) {
+    logger.warn('Context menu target is not a TikTok post', { linkUrl: info.linkUrl, pageUrl: info.pageUrl });
+    return;
+  }
+  const result = await enqueueDownloads([{
+    kind: item.kind,
+    sourceUrl: target.sourceUrl,
+    media: target.media,
+    saveAs: item.kind === 'auto' ? false : undefined
+  }], { tab });
+  logger.info('Context menu download queued', { kind: item.kind, url: target.sourceUrl, queued: result.jobs.length });
+}
+
+async function resolveActiveTabUrl(tab) {
+  await ensureTabStateLoaded();
+  const detectedUrl = tabStates.get(tab.id)?.url;
+  if (detectedUrl && TikTokUrls.parse(detectedUrl)?.id) return detectedUrl;
+  if (tab.url && TikTokUrls.parse(tab.url)?.id) return normalizeTikTokUrl(tab.url);
+  return null;
+}
+
+async function handleCommand(command, tab) {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return;
+  const activeTab = tab || (await new Promise(resolve => chrome.tabs.query({ active: true, currentWindow: true }, tabs => resolve(tabs?.[0]))));
+  if (!activeTab) return;
+
+  const sourceUrl = await resolveActiveTabUrl(activeTab);
+  if (!sourceUrl) {
+    logger.warn('Shortcut used without a detected TikTok video', { command, tabId: activeTab.id });
+    flashBadge(activeTab.id, '?', BADGE_COLORS.error);
+    return;
+  }
+  try {
+    const result = await enqueueDownloads([{ ...action, sourceUrl, commandTabId: activeTab.id }], { tab: activeTab });
+    if (result.skipped.length) {
+      flashBadge(activeTab.id, 'dup', BADGE_COLORS.detected);
+    } else {
+      flashBadge(activeTab.id, '+1', BADGE_COLORS.ready);
+    }
+    logger.info('Shortcut download queued', { command, url: sourceUrl, queued: result.jobs.length });
+  } catch (error) {
+    flashBadge(activeTab.id, '!', BADGE_COLORS.error);
+    throw error;
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!request || !request.action) return false;
+
+  if (request.action === 'fetchTikTokData') {
+    handleFetchTikTokData(request)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        logger.error('fetchTikTokData failed', error);
+        sendResponse(FetchErrors.toResponse(error));
+      });
+    return true;
+  }
+
+  if (request.action === 'checkTikTokVideo') {
+    handleCheckTikTokVideo(request, sender)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        logger.warn('checkTikTokVideo failed', error);
+        sendResponse(FetchErrors.toResponse(error));
+      });
+    return true;
+  }
+
+  if (request.action === 'queue.add') {
+    enqueueDownloads(Array.isArray(request.jobs) ? request.jobs : [request.job], sender)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        logger.error('queue.add failed', error);
+        sendResponse(FetchErrors.toResponse(error));
+      });
+    return true;
+  }
+
+  if (request.action === 'queue.list') {
+    ensureQueueLoaded()
+      .then(() => sendResponse({ jobs: downloadQueue.map(summarizeJob) }));
+    return true;
+  }
+
+  if (request.action === 'queue.clearFinished') {
+    clearFinishedJobs()
+      .then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'queue.cancel' || request.action === 'queue.pause'
+    || request.action === 'queue.resume' || request.action === 'queue.retry') {
+    const handlers = {
+      'queue.cancel': () => cancelJob(request.jobId),
+      'queue.pause': () => setJobPaused(request.jobId, true),
+      'queue.resume': () => setJobPaused(request.jobId, false),
+      'queue.retry': () => retryJob(request.jobId)
+    };
+    handlers[request.action]()
+      .then(job => sendResponse({ job }))
+      .catch(error => {
+        logger.error(`${request.action} failed`, error);
+        sendResponse(FetchErrors.toResponse(error));
+      });
+    return true;
+  }
+
+  if (request.action === 'content.videoDetected') {
+    logger.debug('Video detection ping', { url: request.normalizedUrl || request.url });
+    handleVideoDetected(request, sender)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        logger.warn('Video detection handling failed', error);
+        sendResponse({ ack: false, ...FetchErrors.toResponse(error) });
+      });
+    return true;
+  }
+
+  if (request.action === 'cache.stats') {
+    getCacheSummary().then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'cache.clear') {
+    clearCache().then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'cache.remove') {
+    removeCachedItem(request.key).then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'history.list') {
+    listHistory(request.query).then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'history.check') {
+    checkHistory(request.items).then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'history.remove') {
+    removeHistoryEntry(request.id).then(result => sendResponse(result));
+    return true;
+  }
+
+  if (request.action === 'history.redownload') {
+    redownloadHistoryEntry(request.id, request.kind)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        logger.error('history.redownload failed', error);
+        sendResponse(FetchErrors.toResponse(error));
+      });
+    return true;
+  }
+
+  if (request.action === 'providers.list') {
+    ExtensionSettings.load()
+      .then(settings => sendResponse({ providers: MediaProviders.list(), order: settings.providerOrder }));
+    return true;
+  }
+
+  return false;
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  await ensureTabStateLoaded();
+  const entry = tabStates.get(tabId);
+  if (entry && entry.url !== normalizeTikTokUrl(changeInfo.url)) {
+    clearTabState(tabId, 'navigated');
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  clearTabState(tabId, 'closed');
+});
+
+chrome.runtime.onInstalled.addListener(createContextMenus);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab).catch(error => logger.error('Context menu download failed', error));
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab).catch(error => logger.error('Shortcut download failed', error));
+});
+
+chrome.notifications.onButtonClicked.addListener(notificationId => {
+  handleNotificationButton(notificationId).catch(error => logger.error('Notification action failed', error));
+});
+
+chrome.downloads.onChanged.addListener(delta => {
+  handleDownloadChanged(delta).catch(error => logger.error('Failed to track download change', error));
+});
+
+logger.info('Background Service Worker started');
+
+ExtensionSettings.onChange((settings, changedKeys) => {
+  logger.info('Settings changed', { keys: changedKeys });
+  if (changedKeys.includes('cacheTtlMinutes')) {
+    ensureCacheLoaded().then(pruneExpiredEntries);
+  }
+});
+
+ensureQueueLoaded().then(() => {
+  if (downloadQueue.some(job => job.status === 'queued')) {
+    logger.info('Resuming download queue after restart');
+    pumpQueue();
+  }
+});
 
 setInterval(() => {
   logger.debug('Background keep-alive ping');
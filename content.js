@@ -1,40 +1,283 @@
 /**
  * TikTok Video Downloader Extension
  *
- * This script is loaded on TikTok pages and detects video URLs
- * to send them to the API for download.
+ * This script is loaded on TikTok pages, detects video URLs and
+ * attaches an in-page download control to players and photo carousels.
  */
 
 const logger = createScopedLogger('content');
 
-const TIKTOK_URL_PATTERNS = [
-  /https?:\/\/(www\.)?tiktok\.com\/@[\w.-]+\/video\/\d+/,
-  /https?:\/\/(www\.)?vm\.tiktok\.com\/\w+/,
-  /https?:\/\/(www\.)?m\.tiktok\.com\/v\/\d+/
+const POST_LINK_SELECTOR = 'a[href*="/video/"], a[href*="/photo/"]';
+const PLAYER_SELECTOR = 'video';
+const CAROUSEL_SELECTORS = [
+  '[class*="DivPhotoVideoContainer"]',
+  '[class*="PhotoSwiper"]',
+  '.swiper'
 ];
+const CONTROL_ATTRIBUTE = 'data-ttdl-attached';
+const STYLE_ELEMENT_ID = 'ttdl-style';
+const POST_LOOKUP_DEPTH = 8;
+const PROFILE_UPDATE_DELAY_MS = 500;
+const HYDRATION_SCRIPT_IDS = ['__UNIVERSAL_DATA_FOR_REHYDRATION__', 'SIGI_STATE', '__NEXT_DATA__'];
+const FEED_ITEM_SELECTOR = '[data-e2e="recommend-list-item-container"], article';
+const FEED_AUTHOR_LINK_SELECTOR = 'a[href*="/@"]';
+const FEED_AUTHOR_TEXT_SELECTOR = '[data-e2e="video-author-uniqueid"]';
+// Feed players are wrapped in elements like `xgwrapper-0-<videoId>`.
+const FEED_VIDEO_ID_PATTERN = /-(\d{15,20})$/;
+const FEED_AUTHOR_PATTERN = /\/@([\w.-]+)/;
+const FEED_SETTLE_DELAY_MS = 800;
+// Only the For You and Following feeds; search, explore, messages and live also play videos that aren't "the current post".
+const FEED_PATH_PATTERN = /^\/(foryou|following)?\/?$/;
 
 function isValidTikTokUrl(url) {
-  return TIKTOK_URL_PATTERNS.some(pattern => pattern.test(url));
+  return TikTokUrls.isTikTokUrl(url);
 }
 
 function normalizeTikTokUrl(url) {
+  return TikTokUrls.normalize(url);
+}
+
+function getProfileAuthor(url) {
+  return TikTokUrls.profileAuthor(url);
+}
+
+const profileState = {
+  author: null,
+  posts: new Map()
+};
+let profileUpdateTimeoutId = null;
+
+function resetProfileState(author) {
+  profileState.author = author;
+  profileState.posts.clear();
+}
+
+function serializeProfile() {
+  return {
+    author: profileState.author,
+    posts: Array.from(profileState.posts.values())
+  };
+}
+
+function scheduleProfileUpdate() {
+  if (profileUpdateTimeoutId) return;
+  profileUpdateTimeoutId = setTimeout(() => {
+    profileUpdateTimeoutId = null;
+    chrome.runtime.sendMessage({ action: 'content.profilePostsUpdated', ...serializeProfile() }, () => {
+      // The popup is usually closed; nothing else listens for this update.
+      void chrome.runtime.lastError;
+    });
+  }, PROFILE_UPDATE_DELAY_MS);
+}
+
+function collectProfilePosts() {
+  const author = getProfileAuthor(location.href);
+  if (!author) {
+    if (profileState.author) resetProfileState(null);
+    return;
+  }
+  if (profileState.author !== author) resetProfileState(author);
+
+  let added = 0;
+  document.querySelectorAll(POST_LINK_SELECTOR).forEach(link => {
+    const record = TikTokUrls.parse(link.href);
+    if (!record?.author || record.author.toLowerCase() !== author.toLowerCase()) return;
+    const id = record.id;
+    if (profileState.posts.has(id)) return;
+    profileState.posts.set(id, {
+      id,
+      kind: record.kind === 'photo' ? 'images' : 'video',
+      url: TikTokUrls.canonicalUrl(record),
+      createdAt: TikTokUrls.timestampFromId(id)
+    });
+    added += 1;
+  });
+
+  if (added) {
+    logger.debug('Profile posts collected', { author, added, total: profileState.posts.size });
+    scheduleProfileUpdate();
+  }
+}
+
+function getPostIdFromUrl(url) {
+  return TikTokUrls.parse(url)?.id || null;
+}
+
+function readHydrationJson(scriptId) {
+  const script = document.getElementById(scriptId);
+  if (!script?.textContent) return null;
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    logger.debug('Failed to parse hydration data', { scriptId, error: error.message });
+    return null;
+  }
+}
+
+function findHydratedItem(postId) {
+  const universal = readHydrationJson('__UNIVERSAL_DATA_FOR_REHYDRATION__');
+  const detailItem = universal?.__DEFAULT_SCOPE__?.['webapp.video-detail']?.itemInfo?.itemStruct;
+  if (detailItem?.id === postId) return detailItem;
+
+  const sigi = readHydrationJson('SIGI_STATE');
+  if (sigi?.ItemModule?.[postId]) return sigi.ItemModule[postId];
+
+  const next = readHydrationJson('__NEXT_DATA__');
+  const nextItem = next?.props?.pageProps?.itemInfo?.itemStruct;
+  if (nextItem?.id === postId) return nextItem;
+
+  return null;
+}
+
+function firstUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.find(entry => typeof entry === 'string') || null;
+  return firstUrl(value.urlList || value.url_list);
+}
+
+function normalizeHydratedItem(item) {
+  const author = typeof item.author === 'string' ? item.author : item.author?.uniqueId;
+  const musicUrl = firstUrl(item.music?.playUrl);
+  const media = {
+    id: item.id,
+    author: author || 'unknown',
+    authorName: item.author?.nickname || null,
+    description: item.desc || '',
+    hashtags: item.textExtra ? item.textExtra.map(extra => extra.hashtagName).filter(Boolean) : undefined,
+    createdAt: item.createTime ? Number(item.createTime) * 1000 : TikTokUrls.timestampFromId(item.id),
+    coverUrl: firstUrl(item.video?.cover) || firstUrl(item.video?.originCover),
+    duration: item.video?.duration || null,
+    stats: item.stats || item.statsV2 || null,
+    music: musicUrl
+      ? {
+        url: musicUrl,
+        title: item.music.title || 'tiktok-music',
+        author: item.music.authorName || author || 'unknown',
+        album: item.music.album || null,
+        duration: item.music.duration || null,
+        coverUrl: firstUrl(item.music.coverLarge) || firstUrl(item.music.coverMedium)
+      }
+      : null
+  };
+
+  const images = (item.imagePost?.images || [])
+    .map(image => firstUrl(image.imageURL || image.displayImage))
+    .filter(Boolean);
+  if (images.length) {
+    return { ...media, type: 'images', videoUrl: null, imageUrls: images };
+  }
+
+  const videoUrl = firstUrl(item.video?.playAddr) || firstUrl(item.video?.downloadAddr);
+  if (videoUrl) {
+    return { ...media, type: 'video', videoUrl, videoVariants: VideoVariants.fromTikTokVideo(item.video), imageUrls: [] };
+  }
+  return null;
+}
+
+function extractPageMedia(url) {
+  const postId = getPostIdFromUrl(url);
+  if (!postId) return null;
+  if (!HYDRATION_SCRIPT_IDS.some(id => document.getElementById(id))) return null;
+
+  const item = findHydratedItem(postId);
+  if (!item) {
+    logger.debug('No hydration data for current post', { postId });
+    return null;
+  }
+  const media = normalizeHydratedItem(item);
+  if (media) logger.info('Media extracted from page data', { postId, type: media.type });
+  return media;
+}
+
+function findFeedItem(element) {
+  return element?.closest?.(FEED_ITEM_SELECTOR) || null;
+}
+
+function readFeedAuthor(item) {
+  const link = Array.from(item.querySelectorAll(FEED_AUTHOR_LINK_SELECTOR))
+    .find(anchor => FEED_AUTHOR_PATTERN.test(anchor.getAttribute('href') || ''));
+  if (link) return FEED_AUTHOR_PATTERN.exec(link.getAttribute('href'))[1];
+  const text = item.querySelector(FEED_AUTHOR_TEXT_SELECTOR)?.textContent?.trim();
+  return text ? text.replace(/^@/, '') : null;
+}
+
+function readFeedPost(item) {
+  const link = item.querySelector(POST_LINK_SELECTOR);
+  const linked = link ? TikTokUrls.parse(link.href) : null;
+  if (linked?.id) return { id: linked.id, author: linked.author, url: normalizeTikTokUrl(link.href) };
+
+  const wrapper = [item, ...item.querySelectorAll('[id]')].find(node => FEED_VIDEO_ID_PATTERN.test(node.id));
+  if (!wrapper) return null;
+  const id = FEED_VIDEO_ID_PATTERN.exec(wrapper.id)[1];
+  const author = readFeedAuthor(item);
+  return { id, author, url: TikTokUrls.canonicalUrl({ kind: 'video', id, author }) };
+}
+
+function visibleHeight(element) {
+  const rect = element.getBoundingClientRect();
+  return Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+}
+
+// The playing video wins; when nothing plays (autoplay blocked, paused), the most visible one does.
+function findCurrentFeedVideo() {
+  const candidates = Array.from(document.querySelectorAll(PLAYER_SELECTOR))
+    .map(video => ({ video, visible: visibleHeight(video), playing: !video.paused && !video.ended }))
+    .filter(candidate => candidate.visible > 0)
+    .sort((a, b) => Number(b.playing) - Number(a.playing) || b.visible - a.visible);
+  return candidates[0]?.video || null;
+}
+
+function detectFeedPost() {
+  const item = findFeedItem(findCurrentFeedVideo());
+  return item ? readFeedPost(item) : null;
+}
+
+let feedPost = null;
+let feedUpdateTimeoutId = null;
+
+function isFeedPage(url) {
   try {
-    const parsed = new URL(url);
-    parsed.searchParams.delete('is_copy_url');
-    parsed.searchParams.delete('is_from_webapp_v1');
-    parsed.hash = '';
-    return parsed.toString();
+    return FEED_PATH_PATTERN.test(new URL(url).pathname);
   } catch (error) {
-    logger.debug('Failed to normalize URL', { url, error: error.message });
-    return url;
+    return false;
+  }
+}
+
+function updateFeedPost() {
+  feedUpdateTimeoutId = null;
+  if (!isFeedPage(location.href)) return;
+  const post = detectFeedPost();
+  if (!post || post.url === feedPost?.url) return;
+  feedPost = post;
+  logger.info('Feed video detected', { id: post.id, author: post.author });
+  // Detection only: fetching every post scrolled past would spend the shared upstream rate limit.
+  // The popup and the in-page control fetch when they are opened.
+  notifyVideoDetected(post.url, post);
+}
+
+function scheduleFeedUpdate() {
+  if (!isFeedPage(location.href)) return;
+  clearTimeout(feedUpdateTimeoutId);
+  feedUpdateTimeoutId = setTimeout(updateFeedPost, FEED_SETTLE_DELAY_MS);
+}
+
+function getCurrentPost() {
+  if (isValidTikTokUrl(location.href)) {
+    const record = TikTokUrls.parse(location.href);
+    return { id: record.id, author: record.author, url: normalizeTikTokUrl(location.href) };
   }
+  if (!isFeedPage(location.href)) return null;
+  return detectFeedPost() || feedPost;
 }
 
-function notifyVideoDetected(url) {
+function notifyVideoDetected(url, post = null) {
   chrome.runtime.sendMessage({
     action: 'content.videoDetected',
     url,
-    normalizedUrl: normalizeTikTokUrl(url)
+    normalizedUrl: normalizeTikTokUrl(url),
+    id: post?.id || null,
+    author: post?.author || null
   }, response => {
     if (chrome.runtime.lastError) {
       logger.warn('Video detection message delivery failed', chrome.runtime.lastError.message);
@@ -52,39 +295,345 @@ function processCurrentPage() {
   logger.debug('Processing page', { url, valid });
 
   if (!valid) {
+    if (getProfileAuthor(url)) {
+      logger.info('TikTok profile detected', { author: getProfileAuthor(url) });
+      collectProfilePosts();
+      return;
+    }
+    feedPost = null;
+    if (isFeedPage(url)) {
+      logger.debug('TikTok feed detected, watching the visible video');
+      scheduleFeedUpdate();
+      return;
+    }
     logger.debug('Current URL is not a TikTok video, skipping');
     return;
   }
 
   logger.info('TikTok video detected', { url });
   notifyVideoDetected(url);
+  prefetchPost(url);
+  addDownloadHint();
+}
 
+function prefetchPost(url) {
   chrome.runtime.sendMessage({
     action: 'checkTikTokVideo',
-    url: normalizeTikTokUrl(url)
+    url: normalizeTikTokUrl(url),
+    pageMedia: extractPageMedia(url)
   }, response => {
     if (chrome.runtime.lastError) {
       logger.error('Error communicating with extension', chrome.runtime.lastError.message);
       return;
     }
+    if (response?.error) {
+      logger.warn('Metadata prefetch failed', response.error);
+      return;
+    }
     if (response && response.downloadLinks) {
       logger.info('Download links received', { count: response.downloadLinks.length });
     } else {
       logger.debug('No download links provided in response');
     }
   });
+}
 
-  addDownloadHint();
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response) {
+        reject(new Error('No response from background service.'));
+        return;
+      }
+      if (response.error) {
+        reject(FetchErrors.fromResponse(response));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+const jobListeners = new Map();
+
+function describeJobProgress(job) {
+  if (job.status === 'queued') return { message: 'Queued...' };
+  if (job.status === 'failed') return { message: job.error || 'Download failed.', type: 'error' };
+  if (job.status === 'cancelled') return { message: 'Download cancelled.', type: 'error' };
+  if (job.status === 'skipped') return { message: job.error || 'Already downloaded. Skipped.', type: 'error' };
+  if (job.status === 'completed') {
+    const label = job.kind === 'images' ? `${job.files.length} photos downloaded.` : 'Download complete.';
+    return { message: job.error || label, type: job.error ? 'error' : 'success' };
+  }
+  if (job.status === 'downloading') {
+    const { bytesReceived, totalBytes, paused } = job.transfer || {};
+    if (paused) return { message: 'Paused.' };
+    return { message: totalBytes ? `Downloading ${Math.round((bytesReceived / totalBytes) * 100)}%...` : 'Downloading...' };
+  }
+  if (job.kind === 'images' && job.progress.total) {
+    return { message: `Photo ${Math.min(job.progress.done + 1, job.progress.total)}/${job.progress.total}...` };
+  }
+  return { message: job.kind === 'music' ? 'Starting music download...' : 'Starting video download...' };
+}
+
+function injectControlStyles() {
+  if (document.getElementById(STYLE_ELEMENT_ID)) return;
+  const style = document.createElement('style');
+  style.id = STYLE_ELEMENT_ID;
+  style.textContent = `
+    .ttdl-control { position: absolute; top: 12px; right: 12px; z-index: 2147483000; font: 600 13px/1.3 'Segoe UI', Arial, sans-serif; }
+    .ttdl-trigger { border: none; border-radius: 999px; padding: 6px 12px; background: rgba(254, 44, 85, 0.92); color: #fff; cursor: pointer; box-shadow: 0 6px 18px rgba(0, 0, 0, 0.25); }
+    .ttdl-trigger:disabled { cursor: progress; opacity: 0.75; }
+    .ttdl-menu { position: absolute; top: calc(100% + 6px); right: 0; min-width: 150px; display: flex; flex-direction: column; gap: 4px; padding: 6px; border-radius: 10px; background: rgba(17, 24, 39, 0.95); box-shadow: 0 12px 32px rgba(0, 0, 0, 0.35); }
+    .ttdl-menu button { border: none; border-radius: 6px; padding: 6px 10px; background: transparent; color: #f8fafc; text-align: left; cursor: pointer; }
+    .ttdl-menu button:hover { background: rgba(148, 163, 184, 0.2); }
+    .ttdl-status { margin-top: 6px; padding: 4px 8px; border-radius: 6px; background: rgba(17, 24, 39, 0.85); color: #e2e8f0; font-weight: 500; max-width: 220px; }
+    .ttdl-status.error { color: #fca5a5; }
+    .ttdl-status.success { color: #86efac; }
+    .ttdl-hidden { display: none !important; }
+  `;
+  (document.head || document.documentElement).appendChild(style);
+}
+
+function resolvePostUrl(element) {
+  if (isValidTikTokUrl(location.href)) return normalizeTikTokUrl(location.href);
+
+  const feedItem = findFeedItem(element);
+  const feedItemPost = feedItem ? readFeedPost(feedItem) : null;
+  if (feedItemPost) return feedItemPost.url;
+
+  let node = element;
+  for (let depth = 0; node && depth < POST_LOOKUP_DEPTH; depth += 1) {
+    const link = node.matches?.(POST_LINK_SELECTOR) ? node : node.querySelector?.(POST_LINK_SELECTOR);
+    if (link && isValidTikTokUrl(link.href)) return normalizeTikTokUrl(link.href);
+    node = node.parentElement;
+  }
+  return null;
+}
+
+function createDownloadControl(target) {
+  const control = document.createElement('div');
+  control.className = 'ttdl-control';
+  control.innerHTML = `
+    <button type="button" class="ttdl-trigger">Download</button>
+    <div class="ttdl-menu ttdl-hidden"></div>
+    <div class="ttdl-status ttdl-hidden"></div>
+  `;
+
+  const trigger = control.querySelector('.ttdl-trigger');
+  const menu = control.querySelector('.ttdl-menu');
+  const statusLine = control.querySelector('.ttdl-status');
+  let media = null;
+  let busy = false;
+
+  function setInlineStatus(message, type = '') {
+    statusLine.textContent = message || '';
+    statusLine.className = `ttdl-status${type ? ` ${type}` : ''}${message ? '' : ' ttdl-hidden'}`;
+  }
+
+  function setBusy(value, label) {
+    busy = value;
+    trigger.disabled = value;
+    trigger.textContent = label || 'Download';
+  }
+
+  function closeMenu() {
+    menu.classList.add('ttdl-hidden');
+  }
+
+  function renderMenu() {
+    menu.innerHTML = '';
+    const options = [];
+    if (media.type === 'video') options.push({ kind: 'video', label: 'Video' });
+    if (media.type === 'images') options.push({ kind: 'images', label: `Photos (${media.imageUrls.length})` });
+    if (media.music) options.push({ kind: 'music', label: 'Music' });
+
+    options.forEach(option => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = option.label;
+      button.addEventListener('click', event => {
+        event.stopPropagation();
+        closeMenu();
+        startDownload(option.kind);
+      });
+      menu.appendChild(button);
+    });
+    menu.classList.remove('ttdl-hidden');
+  }
+
+  async function loadMedia() {
+    const postUrl = resolvePostUrl(target);
+    if (!postUrl) throw new Error('Could not determine the TikTok post for this player.');
+    if (media && media.sourceUrl === postUrl) return media;
+
+    const response = await sendMessage({ action: 'fetchTikTokData', url: postUrl });
+    if (!response.media) throw new Error('No downloadable video or images found.');
+    media = { ...response.media, sourceUrl: postUrl };
+    logger.info('In-page media prepared', { url: postUrl, type: media.type, cacheHit: response.cacheHit });
+    return media;
+  }
+
+  function handleJobUpdate(job) {
+    const { message, type } = describeJobProgress(job);
+    setInlineStatus(message, type);
+    if (['completed', 'failed', 'cancelled', 'skipped'].includes(job.status)) {
+      jobListeners.delete(job.id);
+      setBusy(false);
+    }
+  }
+
+  async function startDownload(kind) {
+    setBusy(true, 'Downloading...');
+    setInlineStatus('Queued...');
+    try {
+      const response = await sendMessage({
+        action: 'queue.add',
+        job: { kind, sourceUrl: media.sourceUrl, media }
+      });
+      const job = response.jobs[0];
+      if (!job) {
+        setInlineStatus('Already downloaded. Skipped.', 'error');
+        setBusy(false);
+        return;
+      }
+      jobListeners.set(job.id, handleJobUpdate);
+      if (response.duplicates?.length) setInlineStatus('Queued again (downloaded before)...');
+      logger.info('In-page download queued', { kind, id: job.id });
+    } catch (error) {
+      logger.error('In-page download failed', { kind, error: error.message });
+      setInlineStatus(error.message, 'error');
+      setBusy(false);
+    }
+  }
+
+  trigger.addEventListener('click', async event => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (busy) return;
+    if (!menu.classList.contains('ttdl-hidden')) {
+      closeMenu();
+      return;
+    }
+
+    setBusy(true, 'Loading...');
+    setInlineStatus('');
+    try {
+      await loadMedia();
+      renderMenu();
+    } catch (error) {
+      logger.warn('In-page metadata fetch failed', { error: error.message, code: error.code });
+      const retryHint = error.retryAfterMs ? ` Try again in ${Math.ceil(error.retryAfterMs / 1000)}s.` : '';
+      const description = error.code && error.code !== FetchErrors.codes.UNKNOWN ? FetchErrors.describe(error.code) : error.message;
+      setInlineStatus(`${description}${retryHint}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  });
+
+  control.addEventListener('click', event => event.stopPropagation());
+
+  return control;
+}
+
+// One listener for every control: feed players come and go while scrolling, so per-control listeners would pile up.
+function closeControlMenus(event) {
+  document.querySelectorAll('.ttdl-control > .ttdl-menu:not(.ttdl-hidden)').forEach(menu => {
+    if (!menu.parentElement.contains(event.target)) menu.classList.add('ttdl-hidden');
+  });
+}
+
+function attachDownloadControl(target) {
+  if (!target || target.hasAttribute(CONTROL_ATTRIBUTE)) return;
+  const host = target.tagName === 'VIDEO' ? target.parentElement : target;
+  if (!host || host.querySelector(':scope > .ttdl-control')) return;
+
+  target.setAttribute(CONTROL_ATTRIBUTE, 'true');
+  if (getComputedStyle(host).position === 'static') {
+    host.style.position = 'relative';
+  }
+  host.appendChild(createDownloadControl(target));
 }
 
 function addDownloadHint() {
-  // Placeholder for future UI integration on TikTok pages.
+  injectControlStyles();
+  document.querySelectorAll(PLAYER_SELECTOR).forEach(attachDownloadControl);
+  document.querySelectorAll(CAROUSEL_SELECTORS.join(', ')).forEach(carousel => {
+    if (carousel.closest(`[${CONTROL_ATTRIBUTE}]`)) return;
+    attachDownloadControl(carousel);
+  });
 }
 
+// The context menu click only tells the background which page was used, not which post was under the cursor.
+let lastContextTarget = null;
+document.addEventListener('contextmenu', event => {
+  lastContextTarget = event.target;
+}, true);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.action === 'queue.jobUpdated' && message.job) {
+    const listener = jobListeners.get(message.job.id);
+    if (listener) listener(message.job);
+    return false;
+  }
+
+  if (message?.action === 'page.getMedia') {
+    const url = getCurrentPost()?.url || null;
+    sendResponse({ media: url ? extractPageMedia(url) : null, url });
+    return false;
+  }
+
+  if (message?.action === 'page.getCurrentPost') {
+    sendResponse({ post: getCurrentPost() });
+    return false;
+  }
+
+  if (message?.action === 'page.getContextPost') {
+    const url = lastContextTarget ? resolvePostUrl(lastContextTarget) : null;
+    sendResponse({ url, media: url ? extractPageMedia(url) : null });
+    return false;
+  }
+
+  if (message?.action === 'profile.getPosts') {
+    collectProfilePosts();
+    sendResponse(serializeProfile());
+    return false;
+  }
+
+  if (message?.action === 'profile.loadMore') {
+    window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'smooth' });
+    sendResponse({ ok: true });
+    return false;
+  }
+
+  return false;
+});
+
+let hintScanQueued = false;
+
+function queueDownloadHintScan() {
+  if (hintScanQueued) return;
+  hintScanQueued = true;
+  setTimeout(() => {
+    hintScanQueued = false;
+    addDownloadHint();
+    collectProfilePosts();
+  }, 300);
+}
+
+document.addEventListener('click', closeControlMenus);
+document.addEventListener('play', scheduleFeedUpdate, true);
+document.addEventListener('scroll', scheduleFeedUpdate, { capture: true, passive: true });
+
 processCurrentPage();
 
 let lastUrl = location.href;
 new MutationObserver(() => {
+  queueDownloadHintScan();
   if (location.href === lastUrl) return;
   lastUrl = location.href;
   logger.debug('URL change detected', { url: lastUrl });
@@ -0,0 +1,64 @@
+(function (globalScope) {
+  const CODES = Object.freeze({
+    RATE_LIMITED: 'rate_limited',
+    NOT_FOUND: 'not_found',
+    UPSTREAM_DOWN: 'upstream_down',
+    OFFLINE: 'offline',
+    PARSE_ERROR: 'parse_error',
+    UNKNOWN: 'unknown'
+  });
+
+  const DESCRIPTIONS = Object.freeze({
+    [CODES.RATE_LIMITED]: 'The download service is rate-limiting requests.',
+    [CODES.NOT_FOUND]: 'This post was not found or is private.',
+    [CODES.UPSTREAM_DOWN]: 'The download service is not responding right now.',
+    [CODES.OFFLINE]: 'You appear to be offline. Check your connection.',
+    [CODES.PARSE_ERROR]: 'The download service sent a response we could not read.',
+    [CODES.UNKNOWN]: 'Something went wrong.'
+  });
+
+  const RETRYABLE = new Set([CODES.RATE_LIMITED, CODES.UPSTREAM_DOWN, CODES.OFFLINE]);
+
+  function create(code, message, details = {}) {
+    const error = new Error(message || DESCRIPTIONS[code] || DESCRIPTIONS[CODES.UNKNOWN]);
+    error.code = code || CODES.UNKNOWN;
+    if (details.status) error.status = details.status;
+    if (details.retryAfterMs) error.retryAfterMs = details.retryAfterMs;
+    return error;
+  }
+
+  function describe(code) {
+    return DESCRIPTIONS[code] || DESCRIPTIONS[CODES.UNKNOWN];
+  }
+
+  function isRetryable(code) {
+    return RETRYABLE.has(code);
+  }
+
+  function toResponse(error) {
+    return {
+      error: error?.message || 'Unknown error',
+      errorCode: error?.code || CODES.UNKNOWN,
+      retryAfterMs: error?.retryAfterMs || 0
+    };
+  }
+
+  function fromResponse(response) {
+    return create(response.errorCode || CODES.UNKNOWN, response.error, { retryAfterMs: response.retryAfterMs });
+  }
+
+  const FetchErrors = {
+    codes: CODES,
+    create,
+    describe,
+    isRetryable,
+    toResponse,
+    fromResponse
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FetchErrors;
+  } else {
+    globalScope.FetchErrors = FetchErrors;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
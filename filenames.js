@@ -0,0 +1,90 @@
+(function (globalScope) {
+  const TOKENS = Object.freeze(['author', 'id', 'date', 'desc', 'index', 'music_title', 'music_author', 'type']);
+  const DEFAULT_EXTENSIONS = Object.freeze({ video: 'mp4', images: 'jpeg', music: 'mp3', bundle: 'zip', metadata: 'json' });
+  const MAX_VALUE_LENGTH = 80;
+  const MAX_SEGMENT_LENGTH = 120;
+  const UNSAFE_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+  const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+  const TOKEN_PATTERN = /\{(\w+)\}/g;
+
+  function truncate(value, maxLength) {
+    const characters = Array.from(value);
+    return characters.length > maxLength ? characters.slice(0, maxLength).join('') : value;
+  }
+
+  function sanitizeValue(value) {
+    if (value === null || value === undefined) return '';
+    const cleaned = String(value)
+      .replace(UNSAFE_CHARACTERS, '_')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return truncate(cleaned, MAX_VALUE_LENGTH);
+  }
+
+  function sanitizeSegment(segment) {
+    let cleaned = segment
+      .replace(UNSAFE_CHARACTERS, '_')
+      .replace(/^[\s.-]+|[\s.-]+$/g, '');
+    cleaned = truncate(cleaned, MAX_SEGMENT_LENGTH).replace(/[\s.]+$/, '');
+    if (RESERVED_NAMES.test(cleaned)) cleaned = `_${cleaned}`;
+    return cleaned;
+  }
+
+  function formatDate(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toISOString().slice(0, 10);
+  }
+
+  function timestampFromId(id) {
+    return globalScope.TikTokUrls ? globalScope.TikTokUrls.timestampFromId(id) : null;
+  }
+
+  function buildTokenValues(media, kind, index) {
+    return {
+      author: media?.author,
+      id: media?.id,
+      date: formatDate(media?.createdAt || timestampFromId(media?.id)),
+      desc: media?.description,
+      index: typeof index === 'number' ? index + 1 : '',
+      music_title: media?.music?.title,
+      music_author: media?.music?.author,
+      type: kind
+    };
+  }
+
+  function render(template, values) {
+    const filled = String(template || '').replace(TOKEN_PATTERN, (match, token) => {
+      if (!TOKENS.includes(token)) return match;
+      return sanitizeValue(values[token]);
+    });
+    return filled
+      .split(/[/\\]+/)
+      .map(sanitizeSegment)
+      .filter(segment => segment && segment !== '..')
+      .join('/');
+  }
+
+  function build(kind, media, { template, index, extension } = {}) {
+    const values = buildTokenValues(media, kind, index);
+    const fallback = typeof index === 'number' ? `tiktok-${kind}-${index + 1}` : `tiktok-${kind}`;
+    const path = render(template, values) || fallback;
+    const ext = extension || DEFAULT_EXTENSIONS[kind] || 'bin';
+    return `${path}.${ext}`;
+  }
+
+  const FilenameTemplates = {
+    tokens: TOKENS,
+    extensions: DEFAULT_EXTENSIONS,
+    render,
+    build,
+    sanitizeValue
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilenameTemplates;
+  } else {
+    globalScope.FilenameTemplates = FilenameTemplates;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
@@ -0,0 +1,105 @@
+(function (globalScope) {
+  const HEADER_SIZE = 10;
+  const FRAME_HEADER_SIZE = 10;
+  const ENCODING_UTF16 = 0x01;
+  const ENCODING_LATIN1 = 0x00;
+  const PICTURE_FRONT_COVER = 0x03;
+
+  function encodeUtf16(text) {
+    const value = String(text);
+    const bytes = new Uint8Array(2 + value.length * 2);
+    bytes[0] = 0xff;
+    bytes[1] = 0xfe;
+    for (let i = 0; i < value.length; i += 1) {
+      const code = value.charCodeAt(i);
+      bytes[2 + i * 2] = code & 0xff;
+      bytes[3 + i * 2] = code >> 8;
+    }
+    return bytes;
+  }
+
+  function encodeLatin1(text) {
+    return Uint8Array.from(String(text), character => character.charCodeAt(0) & 0xff);
+  }
+
+  function concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const output = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+      output.set(part, offset);
+      offset += part.length;
+    });
+    return output;
+  }
+
+  function frame(id, body) {
+    const header = new Uint8Array(FRAME_HEADER_SIZE);
+    header.set(encodeLatin1(id), 0);
+    new DataView(header.buffer).setUint32(4, body.length);
+    return concat([header, body]);
+  }
+
+  function textFrame(id, text) {
+    return frame(id, concat([Uint8Array.of(ENCODING_UTF16), encodeUtf16(text)]));
+  }
+
+  function commentFrame(text) {
+    // Encoding, language, empty UTF-16 description (BOM + terminator), then the text itself.
+    return frame('COMM', concat([
+      Uint8Array.of(ENCODING_UTF16),
+      encodeLatin1('eng'),
+      encodeUtf16(''),
+      Uint8Array.of(0, 0),
+      encodeUtf16(text)
+    ]));
+  }
+
+  function pictureFrame(cover) {
+    return frame('APIC', concat([
+      Uint8Array.of(ENCODING_LATIN1),
+      encodeLatin1(cover.mime || 'image/jpeg'),
+      Uint8Array.of(0, PICTURE_FRONT_COVER, 0),
+      cover.bytes
+    ]));
+  }
+
+  function toSyncSafe(size) {
+    return Uint8Array.of((size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f);
+  }
+
+  // Drops an existing ID3v2 tag so we never end up with two stacked headers.
+  function stripExistingTag(audio) {
+    if (audio.length < HEADER_SIZE || audio[0] !== 0x49 || audio[1] !== 0x44 || audio[2] !== 0x33) return audio;
+    const size = (audio[6] << 21) | (audio[7] << 14) | (audio[8] << 7) | audio[9];
+    const footer = audio[5] & 0x10 ? HEADER_SIZE : 0;
+    return audio.subarray(HEADER_SIZE + size + footer);
+  }
+
+  /**
+   * Prepends an ID3v2.3 tag to MP3 bytes. `tags` accepts title, artist, album, comment and
+   * cover ({ bytes, mime }); empty values are skipped.
+   */
+  function write(audio, tags = {}) {
+    const frames = [];
+    if (tags.title) frames.push(textFrame('TIT2', tags.title));
+    if (tags.artist) frames.push(textFrame('TPE1', tags.artist));
+    if (tags.album) frames.push(textFrame('TALB', tags.album));
+    if (tags.comment) frames.push(commentFrame(tags.comment));
+    if (tags.cover?.bytes?.length) frames.push(pictureFrame(tags.cover));
+
+    const body = concat(frames);
+    const header = concat([encodeLatin1('ID3'), Uint8Array.of(3, 0, 0), toSyncSafe(body.length)]);
+    return concat([header, body, stripExistingTag(audio)]);
+  }
+
+  const Id3Tags = {
+    write
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Id3Tags;
+  } else {
+    globalScope.Id3Tags = Id3Tags;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
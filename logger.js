@@ -1,6 +1,7 @@
 (function (globalScope) {
   const LEVEL_ORDER = { debug: 0, info: 1, warn: 2, error: 3 };
   const KNOWN_LEVELS = Object.keys(LEVEL_ORDER);
+  const SETTINGS_STORAGE_KEY = 'settings';
   let globalLevel = 'debug';
 
   function sanitizeScope(scope) {
@@ -93,6 +94,24 @@
     levels: Object.freeze([...KNOWN_LEVELS])
   });
 
+  function applyStoredLevel(settings) {
+    const level = settings && settings.logLevel;
+    if (level && LEVEL_ORDER.hasOwnProperty(level) && level !== globalLevel) {
+      createScopedLogger.setLevel(level);
+    }
+  }
+
+  function watchStoredLevel() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) return;
+    chrome.storage.sync.get({ [SETTINGS_STORAGE_KEY]: {} }, result => applyStoredLevel(result[SETTINGS_STORAGE_KEY]));
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) return;
+      applyStoredLevel(changes[SETTINGS_STORAGE_KEY].newValue);
+    });
+  }
+
+  watchStoredLevel();
+
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = createScopedLogger;
   } else {
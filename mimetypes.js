@@ -0,0 +1,95 @@
+(function (globalScope) {
+  const TYPES = Object.freeze({
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    heic: 'image/heic',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    ogg: 'audio/ogg'
+  });
+
+  const CONTENT_TYPE_EXTENSIONS = Object.freeze({
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/heic': 'heic',
+    'image/heif': 'heic',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/m4a': 'm4a',
+    'audio/aac': 'aac',
+    'audio/ogg': 'ogg'
+  });
+
+  const AUDIO_BRANDS = ['M4A ', 'M4B ', 'dash'];
+  const HEIC_BRANDS = ['heic', 'heix', 'mif1', 'msf1'];
+
+  function ascii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+  }
+
+  function fromExtension(extension) {
+    return TYPES[extension] ? { extension, mime: TYPES[extension] } : null;
+  }
+
+  function fromContentType(contentType) {
+    const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return fromExtension(CONTENT_TYPE_EXTENSIONS[mime]);
+  }
+
+  // `kind` breaks the tie for ISO media files, which look the same for video and audio-only tracks.
+  function sniff(bytes, kind) {
+    if (!bytes || bytes.length < 12) return null;
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return fromExtension('jpeg');
+    if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === 'PNG') return fromExtension('png');
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return fromExtension('webp');
+    if (ascii(bytes, 0, 4) === 'GIF8') return fromExtension('gif');
+    if (ascii(bytes, 0, 4) === 'OggS') return fromExtension('ogg');
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return fromExtension('webm');
+    if (ascii(bytes, 4, 4) === 'ftyp') {
+      const brand = ascii(bytes, 8, 4);
+      if (HEIC_BRANDS.includes(brand)) return fromExtension('heic');
+      if (AUDIO_BRANDS.includes(brand) || kind === 'music') return fromExtension('m4a');
+      return fromExtension('mp4');
+    }
+    if (ascii(bytes, 0, 3) === 'ID3') return fromExtension('mp3');
+    if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+      // ADTS (AAC) frames share the MPEG sync word but always declare layer 0.
+      return fromExtension((bytes[1] & 0x06) === 0 ? 'aac' : 'mp3');
+    }
+    return null;
+  }
+
+  /**
+   * Picks the real type of a downloaded file: magic bytes win, then the Content-Type header.
+   * Returns `{ extension, mime }` or null when neither is recognised.
+   */
+  function detect({ bytes, contentType, kind } = {}) {
+    return sniff(bytes, kind) || fromContentType(contentType);
+  }
+
+  const MediaTypes = {
+    types: TYPES,
+    detect,
+    sniff,
+    fromContentType,
+    fromExtension
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaTypes;
+  } else {
+    globalScope.MediaTypes = MediaTypes;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
@@ -0,0 +1,152 @@
+const logger = createScopedLogger('options');
+
+const saveBtn = document.getElementById('saveBtn');
+const resetBtn = document.getElementById('resetBtn');
+const statusMessage = document.getElementById('statusMessage');
+const settingInputs = Array.from(document.querySelectorAll('[data-setting]'));
+
+const PREVIEW_MEDIA = {
+  author: 'creator',
+  id: '7301234567890123456',
+  createdAt: Date.UTC(2024, 4, 17),
+  description: 'Sunset timelapse #fyp',
+  music: { title: 'original sound', author: 'creator' }
+};
+
+function readPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+function writePath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function readInputValue(input) {
+  if (input.type === 'checkbox') return input.checked;
+  if (input.dataset.type === 'list') {
+    return input.value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (input.type === 'number') return input.value === '' ? null : Number(input.value);
+  return input.value.trim();
+}
+
+function fillForm(settings) {
+  document.documentElement.setAttribute('data-theme', settings.theme);
+  settingInputs.forEach(input => {
+    const value = readPath(settings, input.dataset.setting);
+    if (input.type === 'checkbox') {
+      input.checked = !!value;
+    } else if (Array.isArray(value)) {
+      input.value = value.join(', ');
+    } else {
+      input.value = value ?? '';
+    }
+  });
+  renderPreviews();
+}
+
+function collectForm() {
+  const updates = {};
+  settingInputs.forEach(input => {
+    const path = input.dataset.setting;
+    const [rootKey] = path.split('.');
+    if (!(rootKey in updates)) {
+      const current = ExtensionSettings.get()[rootKey];
+      updates[rootKey] = current && typeof current === 'object' ? { ...current } : current;
+    }
+    writePath(updates, path, readInputValue(input));
+  });
+  return updates;
+}
+
+function renderPreviews() {
+  document.querySelectorAll('[data-preview]').forEach(input => {
+    const kind = input.dataset.preview;
+    const preview = document.querySelector(`[data-preview-for="${kind}"]`);
+    if (!preview) return;
+    const index = kind === 'images' ? 0 : undefined;
+    preview.textContent = FilenameTemplates.build(kind, PREVIEW_MEDIA, { template: input.value, index });
+  });
+}
+
+function showStatus(message, type) {
+  statusMessage.textContent = message;
+  statusMessage.className = `status ${type}`;
+  clearTimeout(showStatus.timeoutId);
+  showStatus.timeoutId = setTimeout(() => statusMessage.classList.add('hidden'), 3000);
+}
+
+// Both endpoints are fetched from the service worker, so each needs host permission for its origin.
+// Origins already covered by the manifest resolve without a prompt.
+function requestEndpointPermission(endpoints) {
+  const configured = endpoints.filter(endpoint => endpoint.url);
+  if (!configured.length || !chrome.permissions) return Promise.resolve(true);
+  const origins = new Set();
+  for (const endpoint of configured) {
+    try {
+      origins.add(`${new URL(endpoint.url.replace('{url}', '')).origin}/*`);
+    } catch (error) {
+      return Promise.reject(new Error(`${endpoint.label} is not a valid URL.`));
+    }
+  }
+  return new Promise(resolve => {
+    chrome.permissions.request({ origins: Array.from(origins) }, granted => resolve(!!granted));
+  });
+}
+
+async function saveSettings() {
+  try {
+    const updates = collectForm();
+    const granted = await requestEndpointPermission([
+      { label: 'API endpoint', url: updates.apiEndpoint },
+      { label: 'Self-hosted endpoint', url: updates.customEndpoint }
+    ]);
+    if (!granted) {
+      showStatus('Host permission for the API endpoint was denied.', 'error');
+      return;
+    }
+    await ExtensionSettings.save(updates);
+    logger.info('Settings saved');
+    showStatus('Settings saved.', 'success');
+  } catch (error) {
+    logger.error('Failed to save settings', error);
+    showStatus(`Failed to save: ${error.message}`, 'error');
+  }
+}
+
+async function resetSettings() {
+  try {
+    fillForm(await ExtensionSettings.reset());
+    logger.info('Settings reset to defaults');
+    showStatus('Defaults restored.', 'success');
+  } catch (error) {
+    logger.error('Failed to reset settings', error);
+    showStatus(`Failed to reset: ${error.message}`, 'error');
+  }
+}
+
+saveBtn.addEventListener('click', saveSettings);
+resetBtn.addEventListener('click', resetSettings);
+document.querySelectorAll('[data-preview]').forEach(input => input.addEventListener('input', renderPreviews));
+
+ExtensionSettings.onChange(settings => fillForm(settings));
+
+function describeProviders() {
+  const hint = document.getElementById('providerHint');
+  chrome.runtime.sendMessage({ action: 'providers.list' }, response => {
+    if (chrome.runtime.lastError || !response?.providers || !hint) return;
+    const available = response.providers.map(provider => `${provider.id} (${provider.label})`).join(', ');
+    hint.textContent = `Comma-separated. Later providers are used when earlier ones fail. Available: ${available}.`;
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  fillForm(await ExtensionSettings.load());
+  describeProviders();
+});
@@ -11,19 +11,43 @@ const terminal = document.getElementById('terminal');
 const clearTerminalBtn = document.getElementById('clearTerminal');
 const toggleTerminalBtn = document.getElementById('toggleTerminal');
 const themeToggleBtn = document.getElementById('themeToggle');
+const settingsBtn = document.getElementById('settingsBtn');
 const manualEntry = document.getElementById('manualEntry');
 const manualUrlInput = document.getElementById('manualUrlInput');
 const manualFetchBtn = document.getElementById('manualFetchBtn');
 const cacheBadge = document.getElementById('cacheBadge');
-
-const TIKTOK_PATTERNS = [
-  /https?:\/\/(www\.)?tiktok\.com\/@[\w.-]+\/video\/\d+/,
-  /https?:\/\/(www\.)?tiktok\.com\/@[\w.-]+\/photo\/\d+/, 
-  /https?:\/\/(www\.)?vm\.tiktok\.com\/\w+/, 
-  /https?:\/\/(www\.)?m\.tiktok\.com\/v\/\d+/
-];
-
-const API_ENDPOINT = 'https://api.maggi.dev/v1/tiktok/tiktok.php';
+const providerBadge = document.getElementById('providerBadge');
+const batchInput = document.getElementById('batchInput');
+const batchSummary = document.getElementById('batchSummary');
+const batchQueueBtn = document.getElementById('batchQueueBtn');
+const profilePanel = document.getElementById('profilePanel');
+const profileTitle = document.getElementById('profileTitle');
+const profileSummary = document.getElementById('profileSummary');
+const profileLimitInput = document.getElementById('profileLimit');
+const profileFromInput = document.getElementById('profileFrom');
+const profileToInput = document.getElementById('profileTo');
+const profileList = document.getElementById('profileList');
+const profileSelectAllBtn = document.getElementById('profileSelectAll');
+const profileSelectNoneBtn = document.getElementById('profileSelectNone');
+const profileLoadMoreBtn = document.getElementById('profileLoadMoreBtn');
+const profileDownloadBtn = document.getElementById('profileDownloadBtn');
+const cacheToggleBtn = document.getElementById('cacheToggleBtn');
+const cacheDetails = document.getElementById('cacheDetails');
+const cacheStatsText = document.getElementById('cacheStats');
+const cacheList = document.getElementById('cacheList');
+const cacheClearBtn = document.getElementById('cacheClearBtn');
+const historyToggleBtn = document.getElementById('historyToggleBtn');
+const historyDetails = document.getElementById('historyDetails');
+const historySearchInput = document.getElementById('historySearch');
+const historySummary = document.getElementById('historySummary');
+const historyList = document.getElementById('historyList');
+const variantPicker = document.getElementById('variantPicker');
+const variantSelect = document.getElementById('variantSelect');
+const queuePanel = document.getElementById('queuePanel');
+const queueList = document.getElementById('queueList');
+const clearQueueBtn = document.getElementById('clearQueueBtn');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 const state = {
   phase: 'idle', // idle | fetching | ready | downloading
@@ -38,29 +62,46 @@ const state = {
   musicMeta: null,
   cacheHit: false,
   cacheAge: 0,
-  activeUrl: null
+  provider: null,
+  selectedVariantId: null,
+  retry: { at: 0, message: '' },
+  cachePanelOpen: false,
+  historyOpen: false,
+  historyQuery: '',
+  history: null,
+  duplicateConfirmKey: null,
+  cacheSummary: null,
+  activeUrl: null,
+  queue: [],
+  batchText: '',
+  batchUrls: [],
+  batchSubmitting: false,
+  activeTabId: null,
+  profileMode: false,
+  profile: { author: null, posts: [] },
+  profileFilter: { limit: '', from: '', to: '' },
+  profileDeselected: [],
+  profileSubmitting: false
 };
 
 let renderQueued = false;
+let retryTimerId = null;
 
 function isValidTikTokUrl(url) {
-  if (!url) return false;
-  return TIKTOK_PATTERNS.some(pattern => pattern.test(url.trim()));
+  return TikTokUrls.isTikTokUrl(url);
 }
 
 function normalizeTikTokUrl(url) {
   if (!url) return '';
-  try {
-    const parsed = new URL(url);
-    parsed.searchParams.delete('is_copy_url');
-    parsed.searchParams.delete('is_from_webapp_v1');
-    parsed.searchParams.delete('lang');
-    parsed.hash = '';
-    return parsed.toString();
-  } catch (error) {
-    logger.warn('Failed to normalize URL', { url, error: error.message });
-    return url;
-  }
+  return TikTokUrls.normalize(url);
+}
+
+function getProfileAuthor(url) {
+  return TikTokUrls.profileAuthor(url);
+}
+
+function extractTikTokUrls(text) {
+  return TikTokUrls.extractAll(text);
 }
 
 function mergeState(updates) {
@@ -83,8 +124,13 @@ function queueRender() {
   });
 }
 
+function getRetrySeconds() {
+  return Math.max(0, Math.ceil((state.retry.at - Date.now()) / 1000));
+}
+
 function computePrimaryLabel() {
   if (state.phase === 'fetching') return 'Processing...';
+  if (getRetrySeconds() > 0) return `Retry in ${getRetrySeconds()}s`;
   if (state.phase === 'downloading') {
     return state.contentType === 'images' ? 'Downloading Photos...' : 'Downloading Video...';
   }
@@ -96,6 +142,7 @@ function computePrimaryLabel() {
 
 function isPrimaryDisabled() {
   if (state.loading.primary) return true;
+  if (getRetrySeconds() > 0) return true;
   if (state.phase === 'ready') return false;
   const targetUrl = state.manualMode ? state.manualUrl : state.activeUrl;
   return !isValidTikTokUrl(targetUrl);
@@ -145,9 +192,20 @@ function render() {
       cacheBadge.classList.add('hidden');
     }
   }
+  if (providerBadge) {
+    providerBadge.textContent = state.provider ? `via ${state.provider}` : '';
+    providerBadge.classList.toggle('hidden', !state.provider);
+  }
   if (themeToggleBtn) {
     themeToggleBtn.textContent = state.theme === 'dark' ? 'Light' : 'Dark';
   }
+
+  renderVariantPicker();
+  renderBatch();
+  renderProfile();
+  renderCachePanel();
+  renderHistory();
+  renderQueue();
 }
 
 function setStatus(message, type) {
@@ -158,23 +216,16 @@ function clearStatus() {
   mergeState({ status: { message: '', type: '' } });
 }
 
-function buildApiUrl(url, includeDemoKey = false) {
-  const params = new URLSearchParams();
-  if (includeDemoKey) params.set('api_key', 'Demo');
-  params.set('url', url);
-  return `${API_ENDPOINT}?${params.toString()}`;
-}
-
-function fetchTikTokData(url, { includeDemoKey = false, reason = 'manual' } = {}) {
+function fetchTikTokData(url, { reason = 'manual', cacheOnly = false, pageMedia = null } = {}) {
   const normalized = normalizeTikTokUrl(url);
-  const apiUrl = buildApiUrl(normalized, includeDemoKey);
-  logToTerminal(`Requesting TikTok data (${reason})`, 'info', { apiUrl });
-  logger.info('Requesting TikTok data', { apiUrl, reason });
+  logToTerminal(`Requesting TikTok data (${reason})`, 'info', { url: normalized });
+  logger.info('Requesting TikTok data', { url: normalized, reason });
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage({
       action: 'fetchTikTokData',
-      apiUrl,
-      cacheKey: normalized
+      url: normalized,
+      cacheOnly,
+      pageMedia
     }, response => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
@@ -185,71 +236,40 @@ function fetchTikTokData(url, { includeDemoKey = false, reason = 'manual' } = {}
         return;
       }
       if (response.error) {
-        reject(new Error(response.error));
+        reject(FetchErrors.fromResponse(response));
         return;
       }
-      resolve({ ...response, apiUrl, normalized });
+      resolve({ ...response, normalized });
     });
   });
 }
 
-function extractMusicMeta(result, fallbackAuthor) {
-  if (!result.music?.playUrl?.length) return null;
-  const url = result.music.playUrl[0];
-  if (!url) return null;
-  return {
-    url,
-    title: result.music.title || 'tiktok-music',
-    author: result.music.author || fallbackAuthor || 'unknown'
-  };
-}
+function handleMediaResponse(media, context = {}) {
+  if (!media || !media.type) {
+    handleResponseError('No downloadable video or images found.', media);
+    return;
+  }
 
-function handleApiResponse(payload, context = {}) {
-  try {
-    if (!payload || payload.status !== 'success' || !payload.result) {
-      throw new Error('Invalid API response format.');
-    }
+  const { music, ...details } = media;
+  const meta = { ...details, sourceUrl: context.sourceUrl || state.activeUrl || state.manualUrl };
+  mergeState({
+    phase: 'ready',
+    contentType: media.type,
+    meta,
+    musicMeta: music,
+    selectedVariantId: VideoVariants.select(media.videoVariants, ExtensionSettings.get().videoQuality)?.id || null,
+    provider: context.provider || media.provider || null,
+    cacheHit: !!context.cacheHit,
+    cacheAge: context.cacheAge || 0
+  });
 
-    const result = payload.result;
-    const authorUsername = result.author?.username || 'unknown';
-    const contentId = result.id || 'tiktok-content';
-    const baseMeta = {
-      author: authorUsername,
-      id: contentId,
-      sourceUrl: context.sourceUrl || state.activeUrl || state.manualUrl
-    };
-
-    const musicMeta = extractMusicMeta(result, authorUsername);
-
-    if (result.video?.playAddr?.length) {
-      const videoUrl = result.video.playAddr[0];
-      mergeState({
-        phase: 'ready',
-        contentType: 'video',
-        meta: { ...baseMeta, type: 'video', videoUrl },
-        musicMeta,
-        cacheHit: !!context.cacheHit,
-        cacheAge: context.cacheAge || 0
-      });
-      setStatus(`Ready to download video${context.cacheHit ? ' (cached)' : ''}.`, 'success');
-      logToTerminal('Video metadata prepared', 'success', { cacheHit: context.cacheHit });
-    } else if (result.images?.length) {
-      const imageUrls = result.images;
-      mergeState({
-        phase: 'ready',
-        contentType: 'images',
-        meta: { ...baseMeta, type: 'images', imageUrls },
-        musicMeta,
-        cacheHit: !!context.cacheHit,
-        cacheAge: context.cacheAge || 0
-      });
-      setStatus(`Ready to download ${imageUrls.length} photos${context.cacheHit ? ' (cached)' : ''}.`, 'success');
-      logToTerminal('Image metadata prepared', 'success', { count: imageUrls.length });
-    } else {
-      throw new Error('No downloadable video or images found.');
-    }
-  } catch (error) {
-    handleResponseError(error.message, payload);
+  const cachedSuffix = context.cacheHit ? ' (cached)' : '';
+  if (media.type === 'images') {
+    setStatus(`Ready to download ${media.imageUrls.length} photos${cachedSuffix}.`, 'success');
+    logToTerminal('Image metadata prepared', 'success', { count: media.imageUrls.length, provider: state.provider });
+  } else {
+    setStatus(`Ready to download video${cachedSuffix}.`, 'success');
+    logToTerminal('Video metadata prepared', 'success', { cacheHit: context.cacheHit, provider: state.provider });
   }
 }
 
@@ -257,7 +277,50 @@ function handleResponseError(message, data) {
   logToTerminal(message, 'error');
   if (data) logger.error('API response error payload', data);
   setStatus(message, 'error');
-  mergeState({ phase: 'idle', meta: null, musicMeta: null, cacheHit: false, cacheAge: 0 });
+  mergeState({ phase: 'idle', meta: null, musicMeta: null, provider: null, cacheHit: false, cacheAge: 0 });
+}
+
+function describeFetchError(error) {
+  const code = error?.code;
+  if (!code || code === FetchErrors.codes.UNKNOWN) return error?.message || 'Unknown error';
+  return `${FetchErrors.describe(code)} (${error.message})`;
+}
+
+function clearRetryCountdown() {
+  if (retryTimerId) clearInterval(retryTimerId);
+  retryTimerId = null;
+  if (state.retry.at) mergeState({ retry: { at: 0, message: '' } });
+}
+
+function startRetryCountdown(message, retryAfterMs) {
+  clearRetryCountdown();
+  mergeState({ retry: { at: Date.now() + retryAfterMs, message } });
+  const tick = () => {
+    const seconds = getRetrySeconds();
+    if (seconds <= 0) {
+      clearRetryCountdown();
+      setStatus(`${message} You can retry now.`, 'warning');
+      return;
+    }
+    setStatus(`${message} Retry in ${seconds}s.`, 'warning');
+  };
+  tick();
+  retryTimerId = setInterval(tick, 1000);
+}
+
+function handleFetchFailure(type, error) {
+  const message = describeFetchError(error);
+  logToTerminal(message, 'error', { code: error.code });
+  if (type === 'music') {
+    mergeState({ loading: { music: false } });
+  } else {
+    mergeState({ loading: { primary: false }, phase: 'idle' });
+  }
+  if (FetchErrors.isRetryable(error.code) && error.retryAfterMs) {
+    startRetryCountdown(message, error.retryAfterMs);
+    return;
+  }
+  setStatus(message, 'error');
 }
 
 function handleDownloadError(type, message) {
@@ -322,40 +385,95 @@ function clearTerminal() {
   logToTerminal('Terminal cleared', 'info');
 }
 
-function initTheme() {
-  const savedTheme = localStorage.getItem('theme') || 'light';
+async function initTheme() {
+  const settings = await ExtensionSettings.load();
+  let savedTheme = settings.theme;
+  const legacyTheme = localStorage.getItem('theme');
+  if (legacyTheme) {
+    localStorage.removeItem('theme');
+    savedTheme = legacyTheme;
+    await ExtensionSettings.save({ theme: legacyTheme }).catch(error => logger.warn('Theme migration failed', error.message));
+  }
   mergeState({ theme: savedTheme });
   logToTerminal(`Theme set to ${savedTheme}`, 'info');
 }
 
-function toggleTheme() {
+async function toggleTheme() {
   const newTheme = state.theme === 'dark' ? 'light' : 'dark';
-  localStorage.setItem('theme', newTheme);
   mergeState({ theme: newTheme });
   logToTerminal(`Theme changed to ${newTheme}`, 'info');
+  try {
+    await ExtensionSettings.save({ theme: newTheme });
+  } catch (error) {
+    logToTerminal(`Failed to save theme: ${error.message}`, 'error');
+  }
 }
 
-async function prepareDownloadFromUrl(url, { reason = 'manual', includeDemoKey = false } = {}) {
+async function prepareDownloadFromUrl(url, { reason = 'manual', pageMedia = null } = {}) {
   const normalized = normalizeTikTokUrl(url);
+  clearRetryCountdown();
   mergeState({ loading: { primary: true }, phase: 'fetching', activeUrl: normalized });
   setStatus('Retrieving data...', 'loading');
   try {
-    const response = await fetchTikTokData(normalized, { includeDemoKey, reason });
-    handleApiResponse(response.data, {
+    const response = await fetchTikTokData(normalized, { reason, pageMedia });
+    handleMediaResponse(response.media, {
       cacheHit: response.cacheHit,
       cacheAge: response.cacheAge,
+      provider: response.provider,
       sourceUrl: normalized
     });
     if (response.cacheHit) {
       logToTerminal('Served from cache', 'info', { cacheAge: response.cacheAge });
     }
   } catch (error) {
-    handleDownloadError('video', error.message);
+    handleFetchFailure('video', error);
   } finally {
     mergeState({ loading: { primary: false } });
   }
 }
 
+async function applyPrefetchedData(url) {
+  try {
+    const response = await fetchTikTokData(url, { reason: 'prefetch', cacheOnly: true });
+    if (!response.media) return false;
+    handleMediaResponse(response.media, {
+      cacheHit: true,
+      cacheAge: response.cacheAge,
+      provider: response.provider,
+      sourceUrl: response.normalized
+    });
+    logToTerminal('Using metadata prefetched by content script', 'info', { cacheAge: response.cacheAge });
+    return true;
+  } catch (error) {
+    logger.debug('Prefetch lookup failed', error.message);
+    return false;
+  }
+}
+
+async function requestPageMedia(tabId) {
+  if (typeof tabId !== 'number') return null;
+  try {
+    const response = await sendTabMessage(tabId, { action: 'page.getMedia' });
+    if (response?.media) logToTerminal('Media found in page data', 'info', { type: response.media.type });
+    return response?.media || null;
+  } catch (error) {
+    logger.debug('Page media unavailable', error.message);
+    return null;
+  }
+}
+
+// Feed pages (For You, Following) keep one URL, so the content script reports which post is on screen.
+async function requestFeedPost(tabId) {
+  if (typeof tabId !== 'number') return null;
+  try {
+    const response = await sendTabMessage(tabId, { action: 'page.getCurrentPost' });
+    return response?.post?.url ? response.post : null;
+  } catch (error) {
+    logger.debug('Feed post unavailable', error.message);
+    return null;
+  }
+}
+
 async function checkCurrentTabStatus() {
   logToTerminal('Evaluating current tab...', 'info');
   clearStatus();
@@ -363,7 +481,19 @@ async function checkCurrentTabStatus() {
 
   try {
     const tabs = await queryActiveTab();
-    const activeUrl = tabs[0]?.url;
+    let activeUrl = tabs[0]?.url;
+    mergeState({ activeTabId: tabs[0]?.id ?? null });
+    if (getProfileAuthor(activeUrl)) {
+      mergeState({ manualMode: false, profileMode: true, activeUrl: null });
+      logToTerminal('Profile mode activated', 'info', { author: getProfileAuthor(activeUrl) });
+      await loadProfilePosts();
+      return;
+    }
+    const feedPost = activeUrl && !isValidTikTokUrl(activeUrl) ? await requestFeedPost(state.activeTabId) : null;
+    if (feedPost) {
+      logToTerminal('Using the video on screen in the feed', 'info', { id: feedPost.id, author: feedPost.author });
+      activeUrl = feedPost.url;
+    }
     if (!activeUrl || !isValidTikTokUrl(activeUrl)) {
       mergeState({ manualMode: true, activeUrl: null });
       setStatus('Not on a TikTok video. Paste a TikTok link below to begin.', 'info');
@@ -372,7 +502,9 @@ async function checkCurrentTabStatus() {
     }
 
     mergeState({ manualMode: false, activeUrl: activeUrl });
-    await prepareDownloadFromUrl(activeUrl, { reason: 'auto', includeDemoKey: true });
+    if (await applyPrefetchedData(activeUrl)) return;
+    const pageMedia = await requestPageMedia(state.activeTabId);
+    await prepareDownloadFromUrl(activeUrl, { reason: 'auto', pageMedia });
   } catch (error) {
     handleDownloadError('video', `Error: ${error.message}`);
   }
@@ -384,70 +516,135 @@ function queryActiveTab() {
   });
 }
 
-function buildVideoFilename() {
-  if (!state.meta) return 'tiktok-video.mp4';
-  return `${state.meta.author}-${state.meta.id}.mp4`;
+function sendRuntimeMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response) {
+        reject(new Error('No response from background service.'));
+        return;
+      }
+      if (response.error) {
+        reject(FetchErrors.fromResponse(response));
+        return;
+      }
+      resolve(response);
+    });
+  });
 }
 
-function buildImageFilename(index) {
-  if (!state.meta) return `tiktok-photo-${index + 1}.jpeg`;
-  return `${state.meta.author}-${state.meta.id}-${index + 1}.jpeg`;
+function buildQueueMedia(musicMeta = state.musicMeta) {
+  const { sourceUrl, ...details } = state.meta || {};
+  return {
+    ...details,
+    id: details.id || 'tiktok-content',
+    author: details.author || musicMeta?.author || 'unknown',
+    type: details.type || null,
+    description: details.description || '',
+    createdAt: details.createdAt || null,
+    videoUrl: details.videoUrl || null,
+    imageUrls: details.imageUrls || [],
+    music: musicMeta || null
+  };
 }
 
-function buildMusicFilename(musicMeta) {
-  return `${musicMeta.author}-${musicMeta.title}.mp3`;
+function renderVariantPicker() {
+  if (!variantPicker) return;
+  const variants = state.contentType === 'video' ? state.meta?.videoVariants || [] : [];
+  variantPicker.classList.toggle('hidden', variants.length < 2);
+  const signature = variants.map(variant => variant.url).join('|');
+  if (variantSelect.dataset.signature !== signature) {
+    variantSelect.dataset.signature = signature;
+    variantSelect.innerHTML = '';
+    variants.forEach(variant => {
+      const option = document.createElement('option');
+      option.value = variant.id;
+      option.textContent = VideoVariants.describe(variant);
+      variantSelect.appendChild(option);
+    });
+  }
+  if (state.selectedVariantId) variantSelect.value = state.selectedVariantId;
+  variantSelect.disabled = state.loading.primary;
 }
 
-function startVideoDownload() {
-  if (!state.meta?.videoUrl) {
-    handleDownloadError('video', 'No video URL found for download.');
-    return;
+async function enqueueDownload(kind, media, options = {}) {
+  const response = await sendRuntimeMessage({
+    action: 'queue.add',
+    job: { kind, sourceUrl: state.meta?.sourceUrl || state.activeUrl || state.manualUrl, media, ...options }
+  });
+  const job = response.jobs[0];
+  if (!job) throw new Error('Already downloaded, skipped by the duplicate setting.');
+  logToTerminal(`Queued ${kind} download`, 'success', { job: job.id });
+  return job;
+}
+
+function formatHistoryDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString();
+}
+
+// Resolves whether a single download may go ahead. In warn mode a duplicate needs a second click.
+async function confirmDuplicate(kind) {
+  const id = state.meta?.id;
+  if (!id) return { proceed: true, force: false };
+  let response;
+  try {
+    response = await sendRuntimeMessage({ action: 'history.check', items: [{ id, kind }] });
+  } catch (error) {
+    logToTerminal(`History check failed: ${error.message}`, 'warning');
+    return { proceed: true, force: false };
   }
 
-  mergeState({ loading: { primary: true }, phase: 'downloading' });
-  const filename = buildVideoFilename();
-  logToTerminal(`Starting video download: ${filename}`, 'info');
-
-  chrome.downloads.download({
-    url: state.meta.videoUrl,
-    filename,
-    saveAs: true
-  }, id => {
-    if (chrome.runtime.lastError) {
-      handleDownloadError('video', `Download error: ${chrome.runtime.lastError.message}`);
-      return;
-    }
-    logToTerminal(`Video download started (ID: ${id})`, 'success');
-    setStatus('Video download started!', 'success');
-    finalizePrimaryAction();
-  });
+  const entry = response.duplicates[id];
+  if (!entry || response.mode === 'allow') return { proceed: true, force: false };
+  const when = formatHistoryDate(entry.downloadedAt);
+  if (response.mode === 'skip') {
+    setStatus(`Already downloaded on ${when}. Skipped; use History to download again.`, 'warning');
+    return { proceed: false, force: false };
+  }
+  const key = `${id}:${kind}`;
+  if (state.duplicateConfirmKey === key) {
+    mergeState({ duplicateConfirmKey: null });
+    return { proceed: true, force: true };
+  }
+  mergeState({ duplicateConfirmKey: key });
+  setStatus(`Already downloaded on ${when}. Click again to download anyway.`, 'warning');
+  return { proceed: false, force: false };
+}
+
+function describeDuplicates(response) {
+  if (response.skipped?.length) return ` ${response.skipped.length} already downloaded and skipped.`;
+  if (response.duplicates?.length) return ` ${response.duplicates.length} were downloaded before.`;
+  return '';
 }
 
-async function startImageDownload() {
-  const images = state.meta?.imageUrls || [];
-  if (!images.length) {
+async function startPrimaryDownload() {
+  const kind = state.contentType;
+  if (kind === 'video' && !state.meta?.videoUrl) {
+    handleDownloadError('video', 'No video URL found for download.');
+    return;
+  }
+  if (kind === 'images' && !state.meta?.imageUrls?.length) {
     handleDownloadError('images', 'No image URLs found for download.');
     return;
   }
 
+  const gate = await confirmDuplicate(kind);
+  if (!gate.proceed) return;
+
   mergeState({ loading: { primary: true }, phase: 'downloading' });
-  for (let index = 0; index < images.length; index += 1) {
-    const url = images[index];
-    const filename = buildImageFilename(index);
-    setStatus(`Downloading photo ${index + 1}/${images.length}...`, 'loading');
-    logToTerminal(`Downloading image ${index + 1}: ${filename}`, 'info');    await new Promise(resolve => {
-      chrome.downloads.download({ url, filename, saveAs: false }, id => {
-        if (chrome.runtime.lastError) {
-          logToTerminal(`Error downloading image ${index + 1}: ${chrome.runtime.lastError.message}`, 'error');
-        } else {
-          logToTerminal(`Image download started (ID: ${id})`, 'success');
-        }
-        resolve();
-      });
-    });
+  try {
+    const options = kind === 'video' ? { variantId: state.selectedVariantId } : {};
+    await enqueueDownload(kind, buildQueueMedia(), { ...options, force: gate.force });
+    setStatus(kind === 'images'
+      ? `${state.meta.imageUrls.length} photos queued. Downloads continue if the popup closes.`
+      : 'Video download queued!', 'success');
+    finalizePrimaryAction();
+  } catch (error) {
+    handleDownloadError(kind, `Download error: ${error.message}`);
   }
-  setStatus('All photo downloads started!', 'success');
-  finalizePrimaryAction();
 }
 
 function ensureMusicMetaAvailable() {
@@ -455,23 +652,485 @@ function ensureMusicMetaAvailable() {
   return null;
 }
 
-function startMusicDownload(musicMeta) {
+async function startMusicDownload(musicMeta) {
+  const gate = await confirmDuplicate('music');
+  if (!gate.proceed) {
+    mergeState({ loading: { music: false } });
+    return;
+  }
+
   mergeState({ loading: { music: true } });
-  const filename = buildMusicFilename(musicMeta);
-  logToTerminal(`Starting music download: ${filename}`, 'info');
-  chrome.downloads.download({
-    url: musicMeta.url,
-    filename,
-    saveAs: true
-  }, id => {
-    if (chrome.runtime.lastError) {
-      handleDownloadError('music', chrome.runtime.lastError.message);
-      return;
-    }
-    logToTerminal(`Music download started (ID: ${id})`, 'success');
-    setStatus('Music download started!', 'success');
+  try {
+    await enqueueDownload('music', buildQueueMedia(musicMeta), { force: gate.force });
+    setStatus('Music download queued!', 'success');
     mergeState({ loading: { music: false } });
+  } catch (error) {
+    handleDownloadError('music', error.message);
+  }
+}
+
+const JOB_KIND_LABELS = { images: 'Photos', music: 'Music', video: 'Video', auto: 'Post' };
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'skipped'];
+
+function describeTransfer(transfer) {
+  if (transfer.paused) return `Paused at ${formatBytes(transfer.bytesReceived)}`;
+  const received = transfer.totalBytes
+    ? `${formatBytes(transfer.bytesReceived)} / ${formatBytes(transfer.totalBytes)}`
+    : formatBytes(transfer.bytesReceived);
+  return transfer.speed ? `${received} · ${formatBytes(transfer.speed)}/s` : received;
+}
+
+function describeJob(job) {
+  const kindLabel = JOB_KIND_LABELS[job.kind] || 'Video';
+  const subject = job.author && job.contentId ? `${job.author}-${job.contentId}` : job.sourceUrl || 'TikTok';
+  let detail = job.status;
+  if (job.status === 'running' && job.progress?.total > 1) {
+    detail = `preparing ${job.progress.done}/${job.progress.total}`;
+  }
+  if (job.status === 'downloading' && job.transfer) {
+    detail = describeTransfer(job.transfer);
+  }
+  if (job.error) detail = `${detail}: ${job.error}`;
+  return { title: `${kindLabel} · ${subject}`, detail };
+}
+
+function getTransferPercent(job) {
+  if (job.status === 'completed') return 100;
+  if (job.status !== 'downloading' || !job.transfer?.totalBytes) return null;
+  return Math.min(100, Math.round((job.transfer.bytesReceived / job.transfer.totalBytes) * 100));
+}
+
+function createJobAction(label, action, job) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-btn';
+  button.textContent = label;
+  button.addEventListener('click', () => runJobAction(action, job.id));
+  return button;
+}
+
+function renderQueue() {
+  if (!queuePanel) return;
+  queuePanel.classList.toggle('hidden', !state.queue.length);
+  queueList.innerHTML = '';
+  state.queue.slice().reverse().forEach(job => {
+    const { title, detail } = describeJob(job);
+    const row = document.createElement('div');
+    row.className = `queue-row ${job.status}`;
+    const titleEl = document.createElement('span');
+    titleEl.className = 'queue-title';
+    titleEl.textContent = title;
+    const detailEl = document.createElement('span');
+    detailEl.className = 'queue-detail';
+    detailEl.textContent = detail;
+    row.append(titleEl, detailEl);
+
+    const percent = getTransferPercent(job);
+    if (percent !== null && job.status === 'downloading') {
+      const bar = document.createElement('div');
+      bar.className = 'queue-progress';
+      const fill = document.createElement('span');
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+      row.appendChild(bar);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+    if (job.status === 'downloading' && job.transfer?.active) {
+      actions.appendChild(job.transfer.paused
+        ? createJobAction('Resume', 'queue.resume', job)
+        : createJobAction('Pause', 'queue.pause', job));
+    }
+    if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+      actions.appendChild(createJobAction('Cancel', 'queue.cancel', job));
+    } else if (job.status !== 'skipped' && (job.status !== 'completed' || job.error)) {
+      const retryLabel = job.status === 'completed' ? 'Retry failed files' : job.sourceUrl ? 'Retry with fresh URL' : 'Retry';
+      actions.appendChild(createJobAction(retryLabel, 'queue.retry', job));
+    }
+    if (actions.childElementCount) row.appendChild(actions);
+    queueList.appendChild(row);
   });
+  if (clearQueueBtn) {
+    clearQueueBtn.disabled = !state.queue.some(job => FINISHED_JOB_STATUSES.includes(job.status));
+  }
+}
+
+async function runJobAction(action, jobId) {
+  try {
+    await sendRuntimeMessage({ action, jobId });
+    logToTerminal(`Download ${action.replace('queue.', '')} requested`, 'info', { job: jobId });
+  } catch (error) {
+    logToTerminal(`Download action failed: ${error.message}`, 'error', { job: jobId });
+    setStatus(error.message, 'error');
+  }
+}
+
+function renderBatch() {
+  if (!batchInput) return;
+  if (batchInput.value !== state.batchText) batchInput.value = state.batchText;
+  const count = state.batchUrls.length;
+  batchSummary.textContent = count
+    ? `${count} unique TikTok link${count === 1 ? '' : 's'} found.`
+    : 'Paste any text containing TikTok links.';
+  batchQueueBtn.disabled = state.batchSubmitting || !count;
+  batchQueueBtn.textContent = count ? `Download ${count}` : 'Download all';
+}
+
+async function queueBatchDownload() {
+  const urls = state.batchUrls;
+  if (!urls.length) {
+    setStatus('No TikTok links found in the pasted text.', 'warning');
+    return;
+  }
+
+  const batchId = `batch-${Date.now().toString(36)}`;
+  mergeState({ batchSubmitting: true });
+  try {
+    const response = await sendRuntimeMessage({
+      action: 'queue.add',
+      jobs: urls.map(sourceUrl => ({ kind: 'auto', sourceUrl, batchId, saveAs: false }))
+    });
+    logToTerminal(`Queued batch of ${response.jobs.length} links`, 'success', { batchId, skipped: response.skipped.length });
+    setStatus(`${response.jobs.length} links queued. Track each item under Downloads.${describeDuplicates(response)}`, 'success');
+    mergeState({ batchText: '', batchUrls: [] });
+  } catch (error) {
+    logToTerminal(`Batch queue failed: ${error.message}`, 'error');
+    setStatus(error.message, 'error');
+  } finally {
+    mergeState({ batchSubmitting: false });
+  }
+}
+
+function getFilteredProfilePosts() {
+  const { limit, from, to } = state.profileFilter;
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) + DAY_MS - 1 : null;
+  const posts = state.profile.posts
+    .slice()
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .filter(post => {
+      if (fromTime !== null && (post.createdAt || 0) < fromTime) return false;
+      if (toTime !== null && (post.createdAt || 0) > toTime) return false;
+      return true;
+    });
+  const max = parseInt(limit, 10);
+  return max > 0 ? posts.slice(0, max) : posts;
+}
+
+function getSelectedProfilePosts() {
+  const deselected = new Set(state.profileDeselected);
+  return getFilteredProfilePosts().filter(post => !deselected.has(post.id));
+}
+
+function syncInputValue(input, value) {
+  if (input && input.value !== value) input.value = value;
+}
+
+function renderProfile() {
+  if (!profilePanel) return;
+  profilePanel.classList.toggle('hidden', !state.profileMode);
+  if (!state.profileMode) return;
+
+  profileTitle.textContent = state.profile.author ? `@${state.profile.author}` : 'Profile';
+  syncInputValue(profileLimitInput, state.profileFilter.limit);
+  syncInputValue(profileFromInput, state.profileFilter.from);
+  syncInputValue(profileToInput, state.profileFilter.to);
+
+  const filtered = getFilteredProfilePosts();
+  const selected = getSelectedProfilePosts();
+  const deselected = new Set(state.profileDeselected);
+  profileSummary.textContent = `${state.profile.posts.length} posts loaded, ${filtered.length} match, ${selected.length} selected.`;
+
+  profileList.innerHTML = '';
+  filtered.forEach(post => {
+    const row = document.createElement('label');
+    row.className = 'queue-row profile-row';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !deselected.has(post.id);
+    checkbox.addEventListener('change', () => toggleProfilePost(post.id, checkbox.checked));
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = `${post.kind === 'images' ? 'Photos' : 'Video'} · ${post.id}`;
+    const detail = document.createElement('span');
+    detail.className = 'queue-detail';
+    detail.textContent = post.createdAt ? new Date(post.createdAt).toLocaleDateString() : 'Unknown date';
+    row.append(checkbox, title, detail);
+    profileList.appendChild(row);
+  });
+
+  profileDownloadBtn.disabled = state.profileSubmitting || !selected.length;
+  profileDownloadBtn.textContent = selected.length ? `Download ${selected.length} posts` : 'Download selected';
+}
+
+function toggleProfilePost(id, checked) {
+  const deselected = new Set(state.profileDeselected);
+  if (checked) deselected.delete(id);
+  else deselected.add(id);
+  mergeState({ profileDeselected: Array.from(deselected) });
+}
+
+function applyProfilePosts(profile) {
+  if (!profile) return;
+  mergeState({ profile: { author: profile.author, posts: Array.isArray(profile.posts) ? profile.posts : [] } });
+  setStatus(`Profile mode: ${state.profile.posts.length} posts found so far. Scroll the profile to load more.`, 'info');
+}
+
+function sendTabMessage(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+async function loadProfilePosts() {
+  try {
+    applyProfilePosts(await sendTabMessage(state.activeTabId, { action: 'profile.getPosts' }));
+  } catch (error) {
+    logToTerminal(`Could not read profile posts: ${error.message}`, 'error');
+    setStatus('Reload the profile page and try again.', 'warning');
+  }
+}
+
+async function loadMoreProfilePosts() {
+  try {
+    await sendTabMessage(state.activeTabId, { action: 'profile.loadMore' });
+    logToTerminal('Requested more profile posts', 'info');
+  } catch (error) {
+    logToTerminal(`Could not scroll profile: ${error.message}`, 'error');
+  }
+}
+
+async function queueProfileDownload() {
+  const posts = getSelectedProfilePosts();
+  if (!posts.length) return;
+
+  const batchId = `profile-${state.profile.author || 'unknown'}-${Date.now().toString(36)}`;
+  mergeState({ profileSubmitting: true });
+  try {
+    const response = await sendRuntimeMessage({
+      action: 'queue.add',
+      jobs: posts.map(post => ({ kind: 'auto', sourceUrl: post.url, batchId, saveAs: false }))
+    });
+    logToTerminal(`Queued ${response.jobs.length} profile posts`, 'success', { batchId, skipped: response.skipped.length });
+    setStatus(`${response.jobs.length} posts queued from @${state.profile.author}.${describeDuplicates(response)}`, 'success');
+  } catch (error) {
+    logToTerminal(`Profile queue failed: ${error.message}`, 'error');
+    setStatus(error.message, 'error');
+  } finally {
+    mergeState({ profileSubmitting: false });
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function renderCachePanel() {
+  if (!cacheDetails) return;
+  cacheToggleBtn.textContent = state.cachePanelOpen ? 'Hide' : 'Show';
+  cacheDetails.classList.toggle('hidden', !state.cachePanelOpen);
+  if (!state.cachePanelOpen) return;
+
+  const summary = state.cacheSummary;
+  if (!summary) {
+    cacheStatsText.textContent = 'Loading cache statistics...';
+    cacheList.innerHTML = '';
+    cacheClearBtn.disabled = true;
+    return;
+  }
+
+  cacheStatsText.textContent = `${summary.entries.length}/${summary.maxEntries} entries · ${formatBytes(summary.totalBytes)} of ${formatBytes(summary.maxBytes)} · ${summary.hits} hits, ${summary.misses} misses, ${summary.evictions} evicted`;
+  cacheClearBtn.disabled = !summary.entries.length;
+  cacheList.innerHTML = '';
+  summary.entries.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'queue-row cache-row';
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = `${entry.type === 'images' ? 'Photos' : 'Video'} · ${entry.author}-${entry.id}`;
+    const detail = document.createElement('span');
+    detail.className = 'queue-detail';
+    detail.textContent = `${formatBytes(entry.size)} · ${entry.provider || 'unknown'} · expires in ${formatDuration(entry.expiresIn)}`;
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'link-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeCacheEntry(entry.key));
+    row.append(title, detail, removeBtn);
+    cacheList.appendChild(row);
+  });
+}
+
+async function loadCacheSummary() {
+  try {
+    mergeState({ cacheSummary: await sendRuntimeMessage({ action: 'cache.stats' }) });
+  } catch (error) {
+    logToTerminal(`Failed to load cache statistics: ${error.message}`, 'error');
+  }
+}
+
+async function toggleCachePanel() {
+  const open = !state.cachePanelOpen;
+  mergeState({ cachePanelOpen: open });
+  if (open) await loadCacheSummary();
+}
+
+async function clearCacheEntries() {
+  try {
+    mergeState({ cacheSummary: await sendRuntimeMessage({ action: 'cache.clear' }), cacheHit: false });
+    logToTerminal('Cache cleared', 'info');
+  } catch (error) {
+    logToTerminal(`Failed to clear cache: ${error.message}`, 'error');
+  }
+}
+
+async function removeCacheEntry(key) {
+  try {
+    mergeState({ cacheSummary: await sendRuntimeMessage({ action: 'cache.remove', key }) });
+    logToTerminal('Cache entry removed', 'info', { key });
+  } catch (error) {
+    logToTerminal(`Failed to remove cache entry: ${error.message}`, 'error');
+  }
+}
+
+function renderHistory() {
+  if (!historyDetails) return;
+  historyToggleBtn.textContent = state.historyOpen ? 'Hide' : 'Show';
+  historyDetails.classList.toggle('hidden', !state.historyOpen);
+  if (!state.historyOpen) return;
+  if (historySearchInput.value !== state.historyQuery) historySearchInput.value = state.historyQuery;
+
+  const history = state.history;
+  historyList.innerHTML = '';
+  if (!history) {
+    historySummary.textContent = 'Loading history...';
+    return;
+  }
+  historySummary.textContent = state.historyQuery
+    ? `${history.matched} of ${history.total} downloads match.`
+    : `${history.total} downloaded posts.`;
+
+  history.entries.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'queue-row';
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = `${JOB_KIND_LABELS[entry.type] || 'Post'} · ${entry.author}-${entry.id}`;
+    const detail = document.createElement('span');
+    detail.className = 'queue-detail';
+    detail.textContent = `${formatHistoryDate(entry.downloadedAt)} · ${entry.files.map(file => file.filename).join(', ')}`;
+    detail.title = entry.sourceUrl;
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+    [
+      ['Download again', () => redownloadHistoryEntry(entry)],
+      ['Open', () => openHistoryFile(entry)],
+      ['Remove', () => removeHistoryEntry(entry.id)]
+    ].forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'link-btn';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    });
+    row.append(title, detail, actions);
+    historyList.appendChild(row);
+  });
+}
+
+async function loadHistory() {
+  try {
+    mergeState({ history: await sendRuntimeMessage({ action: 'history.list', query: state.historyQuery }) });
+  } catch (error) {
+    logToTerminal(`Failed to load history: ${error.message}`, 'error');
+  }
+}
+
+async function toggleHistoryPanel() {
+  const open = !state.historyOpen;
+  mergeState({ historyOpen: open });
+  if (open) await loadHistory();
+}
+
+function handleHistorySearch(event) {
+  mergeState({ historyQuery: event.target.value });
+  clearTimeout(handleHistorySearch.timeoutId);
+  handleHistorySearch.timeoutId = setTimeout(loadHistory, 200);
+}
+
+async function redownloadHistoryEntry(entry) {
+  try {
+    await sendRuntimeMessage({ action: 'history.redownload', id: entry.id });
+    logToTerminal('History entry queued again', 'success', { id: entry.id });
+    setStatus(`${entry.author}-${entry.id} queued again.`, 'success');
+  } catch (error) {
+    logToTerminal(`Failed to download again: ${error.message}`, 'error');
+    setStatus(error.message, 'error');
+  }
+}
+
+function searchBrowserDownloads(query) {
+  return new Promise(resolve => chrome.downloads.search(query, items => resolve(chrome.runtime.lastError ? [] : items || [])));
+}
+
+// chrome.downloads.open needs the popup's click gesture, so this cannot go through the background.
+async function openHistoryFile(entry) {
+  for (const file of entry.files) {
+    if (typeof file.downloadId !== 'number') continue;
+    const [item] = await searchBrowserDownloads({ id: file.downloadId });
+    if (!item || !item.exists || item.state !== 'complete') continue;
+    chrome.downloads.open(item.id);
+    logToTerminal('Opened downloaded file', 'info', { filename: file.filename });
+    return;
+  }
+  setStatus('The downloaded file no longer exists. Use "Download again".', 'warning');
+}
+
+async function removeHistoryEntry(id) {
+  try {
+    const result = await sendRuntimeMessage({ action: 'history.remove', id });
+    mergeState({ history: state.historyQuery ? null : result });
+    if (state.historyQuery) await loadHistory();
+    logToTerminal('History entry removed', 'info', { id });
+  } catch (error) {
+    logToTerminal(`Failed to remove history entry: ${error.message}`, 'error');
+  }
+}
+
+async function loadQueue() {
+  try {
+    const response = await sendRuntimeMessage({ action: 'queue.list' });
+    mergeState({ queue: response.jobs || [] });
+  } catch (error) {
+    logger.warn('Failed to load download queue', error.message);
+  }
+}
+
+async function clearFinishedJobs() {
+  try {
+    const response = await sendRuntimeMessage({ action: 'queue.clearFinished' });
+    mergeState({ queue: response.jobs || [] });
+    logToTerminal('Finished downloads cleared', 'info');
+  } catch (error) {
+    logToTerminal(`Failed to clear downloads: ${error.message}`, 'error');
+  }
 }
 
 async function handleManualFetch() {
@@ -485,11 +1144,7 @@ async function handleManualFetch() {
 downloadBtn.addEventListener('click', async () => {
   clearStatus();
   if (state.phase === 'ready') {
-    if (state.contentType === 'video') {
-      startVideoDownload();
-    } else if (state.contentType === 'images') {
-      await startImageDownload();
-    }
+    await startPrimaryDownload();
     return;
   }
 
@@ -518,20 +1173,15 @@ downloadMusicBtn.addEventListener('click', async () => {
   mergeState({ loading: { music: true } });
   setStatus('Retrieving music data...', 'loading');
   try {
-    const response = await fetchTikTokData(targetUrl, { includeDemoKey: true, reason: 'music' });
-    const result = response.data?.result?.music;
-    if (!result?.playUrl?.length) {
+    const response = await fetchTikTokData(targetUrl, { reason: 'music' });
+    const musicMeta = response.media?.music;
+    if (!musicMeta?.url) {
       throw new Error('No music found.');
     }
-    const musicMeta = {
-      url: result.playUrl[0],
-      title: result.title || 'tiktok-music',
-      author: result.author || state.meta?.author || 'unknown'
-    };
     mergeState({ musicMeta });
-    startMusicDownload(musicMeta);
+    await startMusicDownload(musicMeta);
   } catch (error) {
-    handleDownloadError('music', error.message);
+    handleFetchFailure('music', error);
   }
 });
 
@@ -552,20 +1202,77 @@ if (manualUrlInput) {
   });
 }
 themeToggleBtn.addEventListener('click', toggleTheme);
+if (historyToggleBtn) {
+  historyToggleBtn.addEventListener('click', toggleHistoryPanel);
+  historySearchInput.addEventListener('input', handleHistorySearch);
+}
+if (variantSelect) {
+  variantSelect.addEventListener('change', event => mergeState({ selectedVariantId: event.target.value }));
+}
+if (settingsBtn) {
+  settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+}
+if (clearQueueBtn) {
+  clearQueueBtn.addEventListener('click', clearFinishedJobs);
+}
+if (cacheToggleBtn) {
+  cacheToggleBtn.addEventListener('click', toggleCachePanel);
+  cacheClearBtn.addEventListener('click', clearCacheEntries);
+}
+if (profilePanel) {
+  [['limit', profileLimitInput], ['from', profileFromInput], ['to', profileToInput]].forEach(([key, input]) => {
+    input.addEventListener('input', event => {
+      mergeState({ profileFilter: { [key]: event.target.value } });
+    });
+  });
+  profileSelectAllBtn.addEventListener('click', () => mergeState({ profileDeselected: [] }));
+  profileSelectNoneBtn.addEventListener('click', () => {
+    mergeState({ profileDeselected: getFilteredProfilePosts().map(post => post.id) });
+  });
+  profileLoadMoreBtn.addEventListener('click', loadMoreProfilePosts);
+  profileDownloadBtn.addEventListener('click', queueProfileDownload);
+}
+if (batchInput) {
+  batchInput.addEventListener('input', event => {
+    const batchText = event.target.value;
+    mergeState({ batchText, batchUrls: extractTikTokUrls(batchText) });
+  });
+  batchQueueBtn.addEventListener('click', queueBatchDownload);
+}
 
-chrome.runtime.onMessage.addListener(message => {
+ExtensionSettings.onChange((settings, changedKeys) => {
+  if (changedKeys.includes('theme') && settings.theme !== state.theme) {
+    mergeState({ theme: settings.theme });
+    logToTerminal(`Theme changed to ${settings.theme}`, 'info');
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message?.action === 'queue.updated' && Array.isArray(message.jobs)) {
+    const completedBefore = state.queue.filter(job => job.status === 'completed').length;
+    mergeState({ queue: message.jobs });
+    if (state.historyOpen && message.jobs.filter(job => job.status === 'completed').length !== completedBefore) loadHistory();
+    return;
+  }
+  if (message?.action === 'content.profilePostsUpdated') {
+    if (state.profileMode && sender?.tab?.id === state.activeTabId) applyProfilePosts(message);
+    return;
+  }
   if (message?.action === 'content.videoDetected' && message.url) {
     const normalized = normalizeTikTokUrl(message.url);
-    logToTerminal('Content script detected TikTok video', 'info', { url: normalized });
+    logToTerminal('Content script detected TikTok video', 'info', { url: normalized, id: message.id, author: message.author });
     mergeState({ manualMode: false, activeUrl: normalized });
   }
 });
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   initTheme();
   logToTerminal('Extension popup loaded', 'info');
-  checkCurrentTabStatus();
+  loadQueue();
   render();
+  // The saved quality preference picks the initial video variant, so settings must be loaded before any media renders.
+  await ExtensionSettings.load();
+  checkCurrentTabStatus();
 });
 
 
@@ -0,0 +1,227 @@
+(function (globalScope) {
+  const registry = new Map();
+  const NOT_FOUND_PATTERN = /not found|private|unavailable|removed|deleted/i;
+  const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+
+  function providerError(code, message) {
+    const errors = globalScope.FetchErrors;
+    return errors ? errors.create(errors.codes[code], message) : new Error(message);
+  }
+
+  function timestampFromPostId(id) {
+    return globalScope.TikTokUrls ? globalScope.TikTokUrls.timestampFromId(id) : null;
+  }
+
+  function isNormalizedMedia(value) {
+    if (!value || typeof value !== 'object' || !value.id) return false;
+    if (value.type === 'video') return typeof value.videoUrl === 'string' && !!value.videoUrl;
+    if (value.type === 'images') return Array.isArray(value.imageUrls) && value.imageUrls.length > 0;
+    return false;
+  }
+
+  function extractHashtags(description) {
+    return Array.from(new Set((String(description || '').match(HASHTAG_PATTERN) || []).map(tag => tag.slice(1))));
+  }
+
+  function toCount(value) {
+    const count = Number(value);
+    return Number.isFinite(count) ? count : null;
+  }
+
+  function normalizeStats(stats) {
+    if (!stats || typeof stats !== 'object') return null;
+    return {
+      plays: toCount(stats.plays ?? stats.playCount),
+      likes: toCount(stats.likes ?? stats.diggCount ?? stats.likeCount),
+      comments: toCount(stats.comments ?? stats.commentCount),
+      shares: toCount(stats.shares ?? stats.shareCount),
+      saves: toCount(stats.saves ?? stats.collectCount)
+    };
+  }
+
+  function firstString(value) {
+    const candidate = Array.isArray(value) ? value[0] : value;
+    return typeof candidate === 'string' && candidate ? candidate : null;
+  }
+
+  function finalizeMedia(media, providerId) {
+    return {
+      id: String(media.id),
+      author: media.author || 'unknown',
+      authorName: media.authorName || null,
+      description: media.description || '',
+      hashtags: Array.isArray(media.hashtags) ? media.hashtags.slice() : extractHashtags(media.description),
+      createdAt: media.createdAt || timestampFromPostId(media.id),
+      type: media.type,
+      videoUrl: media.type === 'video' ? media.videoUrl : null,
+      videoVariants: media.type === 'video' ? globalScope.VideoVariants.normalize(media.videoVariants, media.videoUrl) : [],
+      imageUrls: media.type === 'images' ? media.imageUrls.slice() : [],
+      coverUrl: media.coverUrl || null,
+      duration: toCount(media.duration),
+      stats: normalizeStats(media.stats),
+      music: media.music?.url
+        ? {
+          url: media.music.url,
+          title: media.music.title || 'tiktok-music',
+          author: media.music.author || media.author || 'unknown',
+          album: media.music.album || null,
+          duration: toCount(media.music.duration),
+          coverUrl: media.music.coverUrl || null
+        }
+        : null,
+      provider: providerId
+    };
+  }
+
+  // Response shape of api.maggi.dev: { status: 'success', result: { id, author, desc, statistics, hashtag, video | images, music } }.
+  function normalizeMaggiPayload(payload) {
+    if (!payload || payload.status !== 'success' || !payload.result) {
+      const reason = payload?.message || payload?.error;
+      if (typeof reason === 'string' && NOT_FOUND_PATTERN.test(reason)) {
+        throw providerError('NOT_FOUND', reason);
+      }
+      throw providerError('PARSE_ERROR', 'Invalid API response format.');
+    }
+    const result = payload.result;
+    const author = result.author?.username || 'unknown';
+    const media = {
+      id: result.id || 'tiktok-content',
+      author,
+      authorName: result.author?.nickname || null,
+      description: result.desc || result.description || '',
+      hashtags: Array.isArray(result.hashtag) ? result.hashtag : undefined,
+      createdAt: result.createTime ? Number(result.createTime) * 1000 : null,
+      coverUrl: firstString(result.cover || result.video?.cover),
+      duration: result.video?.duration,
+      stats: result.statistics || result.stats || null,
+      music: result.music?.playUrl?.[0]
+        ? {
+          url: result.music.playUrl[0],
+          title: result.music.title,
+          author: result.music.author || author,
+          album: result.music.album || null,
+          duration: result.music.duration,
+          coverUrl: firstString(result.music.coverLarge || result.music.coverMedium || result.music.coverThumb)
+        }
+        : null
+    };
+
+    if (result.video?.playAddr?.length) {
+      return {
+        ...media,
+        type: 'video',
+        videoUrl: result.video.playAddr[0],
+        videoVariants: globalScope.VideoVariants.fromTikTokVideo(result.video)
+      };
+    }
+    if (result.images?.length) {
+      return { ...media, type: 'images', imageUrls: result.images };
+    }
+    throw providerError('NOT_FOUND', 'No downloadable video or images found.');
+  }
+
+  function buildEndpointUrl(endpoint, url, apiKey) {
+    if (endpoint.includes('{url}')) {
+      return endpoint.replace('{url}', encodeURIComponent(url));
+    }
+    const target = new URL(endpoint);
+    if (apiKey) target.searchParams.set('api_key', apiKey);
+    target.searchParams.set('url', url);
+    return target.toString();
+  }
+
+  function register(provider) {
+    if (!provider || !provider.id || typeof provider.fetchMedia !== 'function') {
+      throw new Error('Provider needs an id and a fetchMedia function.');
+    }
+    registry.set(provider.id, provider);
+  }
+
+  function list() {
+    return Array.from(registry.values())
+      .filter(provider => !provider.internal)
+      .map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * Tries each configured provider in `order` until one returns a normalized media model.
+   * `context` supplies `settings`, `fetchJson(url)` and a `logger`.
+   */
+  async function resolve(url, order, context) {
+    const ids = (Array.isArray(order) && order.length ? order : ['maggi']).filter(id => {
+      const provider = registry.get(id);
+      return provider && (!provider.isConfigured || provider.isConfigured(context.settings, context));
+    });
+    if (!ids.length) throw new Error('No metadata provider is configured.');
+
+    const failures = [];
+    for (const id of ids) {
+      const provider = registry.get(id);
+      try {
+        const media = await provider.fetchMedia(url, context);
+        if (!isNormalizedMedia(media)) throw providerError('PARSE_ERROR', 'Provider returned no downloadable media.');
+        return { media: finalizeMedia(media, id), provider: id, failures };
+      } catch (error) {
+        context.logger?.warn('Metadata provider failed', { provider: id, error: error.message });
+        failures.push({ provider: id, error });
+      }
+    }
+
+    const lastError = failures[failures.length - 1].error;
+    if (failures.length > 1) {
+      lastError.message = `All providers failed (${failures.map(entry => `${entry.provider}: ${entry.error.message}`).join('; ')})`;
+    }
+    lastError.failures = failures.map(entry => ({ provider: entry.provider, error: entry.error.message }));
+    throw lastError;
+  }
+
+  // Media read by content.js from the page's own hydration JSON; only available for the open tab.
+  register({
+    id: 'page',
+    label: 'TikTok page data',
+    internal: true,
+    isConfigured(settings, context) {
+      return !!context?.pageMedia;
+    },
+    async fetchMedia(url, { pageMedia }) {
+      return pageMedia;
+    }
+  });
+
+  register({
+    id: 'maggi',
+    label: 'api.maggi.dev',
+    async fetchMedia(url, { settings, fetchJson }) {
+      const payload = await fetchJson(buildEndpointUrl(settings.apiEndpoint, url, settings.apiKey));
+      return normalizeMaggiPayload(payload);
+    }
+  });
+
+  register({
+    id: 'custom',
+    label: 'Self-hosted endpoint',
+    isConfigured(settings) {
+      return !!settings.customEndpoint;
+    },
+    async fetchMedia(url, { settings, fetchJson }) {
+      const payload = await fetchJson(buildEndpointUrl(settings.customEndpoint, url, settings.customApiKey));
+      if (isNormalizedMedia(payload?.media)) return payload.media;
+      if (isNormalizedMedia(payload)) return payload;
+      return normalizeMaggiPayload(payload);
+    }
+  });
+
+  const MediaProviders = {
+    register,
+    resolve,
+    list,
+    isNormalizedMedia,
+    normalizeMaggiPayload
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaProviders;
+  } else {
+    globalScope.MediaProviders = MediaProviders;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
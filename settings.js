@@ -0,0 +1,139 @@
+(function (globalScope) {
+  const STORAGE_KEY = 'settings';
+  const DEFAULT_SETTINGS = Object.freeze({
+    apiEndpoint: 'https://api.maggi.dev/v1/tiktok/tiktok.php',
+    apiKey: 'Demo',
+    customEndpoint: '',
+    customApiKey: '',
+    providerOrder: Object.freeze(['maggi', 'custom']),
+    saveAsMode: 'single', // always | single | never
+    duplicateMode: 'warn', // warn | skip | allow
+    videoQuality: 'best-clean', // best-clean | best-compatible | best | smallest | default
+    imageFormat: 'original', // original | jpeg | png
+    tagMusic: true,
+    cacheTtlMinutes: 60,
+    logLevel: 'debug',
+    theme: 'light',
+    slideshowZip: Object.freeze({
+      enabled: false,
+      includeMusic: true,
+      includeMetadata: true
+    }),
+    notifications: Object.freeze({
+      enabled: false,
+      completed: true,
+      failed: true,
+      batches: true
+    }),
+    sidecars: Object.freeze({
+      json: false,
+      caption: false,
+      manifest: 'off' // off | csv | jsonl
+    }),
+    filenameTemplates: Object.freeze({
+      video: '{author}-{id}',
+      images: '{author}-{id}-{index}',
+      music: '{music_author}-{music_title}',
+      bundle: '{author}-{id}',
+      metadata: '{author}-{id}'
+    })
+  });
+
+  let current = mergeWithDefaults({});
+  let loadPromise = null;
+  let watching = false;
+  const listeners = [];
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function mergeWithDefaults(stored) {
+    const merged = {};
+    Object.entries(DEFAULT_SETTINGS).forEach(([key, defaultValue]) => {
+      const storedValue = isPlainObject(stored) ? stored[key] : undefined;
+      if (isPlainObject(defaultValue)) {
+        merged[key] = { ...defaultValue, ...(isPlainObject(storedValue) ? storedValue : {}) };
+      } else {
+        merged[key] = storedValue === undefined || storedValue === null ? defaultValue : storedValue;
+      }
+    });
+    return merged;
+  }
+
+  function hasStorage() {
+    return typeof chrome !== 'undefined' && !!chrome.storage?.sync;
+  }
+
+  function load() {
+    if (loadPromise) return loadPromise;
+    if (!hasStorage()) return Promise.resolve(current);
+
+    loadPromise = new Promise(resolve => {
+      chrome.storage.sync.get({ [STORAGE_KEY]: {} }, result => {
+        current = mergeWithDefaults(result[STORAGE_KEY]);
+        resolve(current);
+      });
+    });
+    return loadPromise;
+  }
+
+  function save(updates) {
+    const next = mergeWithDefaults({ ...current, ...updates });
+    if (!hasStorage()) {
+      current = next;
+      return Promise.resolve(current);
+    }
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ [STORAGE_KEY]: next }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        current = next;
+        resolve(current);
+      });
+    });
+  }
+
+  function reset() {
+    return save(DEFAULT_SETTINGS);
+  }
+
+  function watchStorage() {
+    if (watching || !hasStorage()) return;
+    watching = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[STORAGE_KEY]) return;
+      const previous = current;
+      current = mergeWithDefaults(changes[STORAGE_KEY].newValue);
+      const changedKeys = Object.keys(current).filter(key => JSON.stringify(current[key]) !== JSON.stringify(previous[key]));
+      if (!changedKeys.length) return;
+      listeners.forEach(callback => callback(current, changedKeys));
+    });
+  }
+
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  watchStorage();
+
+  const ExtensionSettings = {
+    defaults: DEFAULT_SETTINGS,
+    load,
+    save,
+    reset,
+    onChange,
+    get() {
+      return current;
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtensionSettings;
+  } else {
+    globalScope.ExtensionSettings = ExtensionSettings;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
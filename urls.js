@@ -0,0 +1,125 @@
+(function (globalScope) {
+  const HOST = '(?:[\\w-]+\\.)*tiktok\\.com';
+
+  // Every URL shape we accept. Each entry maps its capture groups onto a `{kind, author, id, code}` record.
+  const URL_VARIANTS = [
+    {
+      pattern: new RegExp(`https?:\\/\\/${HOST}\\/@([\\w.-]+)\\/(video|photo)\\/(\\d+)`),
+      toRecord: match => ({ kind: match[2], author: match[1], id: match[3] })
+    },
+    {
+      pattern: /https?:\/\/(?:www\.)?(vm|vt)\.tiktok\.com\/([\w-]+)/,
+      toRecord: match => ({ kind: 'short', code: match[2], path: match[1] === 'vt' ? 'vt' : null })
+    },
+    {
+      pattern: new RegExp(`https?:\\/\\/${HOST}\\/t\\/([\\w-]+)`),
+      toRecord: match => ({ kind: 'short', code: match[1], path: 't' })
+    },
+    {
+      pattern: new RegExp(`https?:\\/\\/${HOST}\\/v\\/(\\d+)`),
+      toRecord: match => ({ kind: 'video', id: match[1] })
+    },
+    {
+      pattern: new RegExp(`https?:\\/\\/${HOST}\\/embed(?:\\/v\\d)?\\/(\\d+)`),
+      toRecord: match => ({ kind: 'video', id: match[1] })
+    },
+    {
+      pattern: new RegExp(`https?:\\/\\/${HOST}\\/player\\/v\\d\\/(\\d+)`),
+      toRecord: match => ({ kind: 'video', id: match[1] })
+    }
+  ];
+
+  const PATTERNS = Object.freeze(URL_VARIANTS.map(variant => variant.pattern));
+  // Profile pages are not posts, so they stay out of `parse`.
+  const PROFILE_PATTERN = /^https?:\/\/(?:www\.)?tiktok\.com\/@([\w.-]+)\/?(?:\?.*)?$/;
+
+  function parse(url) {
+    if (!url) return null;
+    const value = String(url).trim();
+    for (const variant of URL_VARIANTS) {
+      const match = variant.pattern.exec(value);
+      if (match) return { author: null, id: null, code: null, ...variant.toRecord(match) };
+    }
+    return null;
+  }
+
+  function isTikTokUrl(url) {
+    return !!parse(url);
+  }
+
+  function isShortLink(url) {
+    return parse(url)?.kind === 'short';
+  }
+
+  function profileAuthor(url) {
+    const match = url ? PROFILE_PATTERN.exec(String(url).trim()) : null;
+    return match ? match[1] : null;
+  }
+
+  // Post IDs carry their creation time (seconds) in the bits above the low 32.
+  function timestampFromId(id) {
+    if (!/^\d+$/.test(String(id || ''))) return null;
+    try {
+      return Number(BigInt(id) >> 32n) * 1000 || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function canonicalUrl(record) {
+    if (!record) return '';
+    if (record.kind === 'short') {
+      if (record.path === 't') return `https://www.tiktok.com/t/${record.code}/`;
+      return `https://${record.path === 'vt' ? 'vt' : 'vm'}.tiktok.com/${record.code}/`;
+    }
+    if (!record.author) return `https://m.tiktok.com/v/${record.id}.html`;
+    return `https://www.tiktok.com/@${record.author}/${record.kind === 'photo' ? 'photo' : 'video'}/${record.id}`;
+  }
+
+  function normalize(url) {
+    const record = parse(url);
+    return record ? canonicalUrl(record) : url;
+  }
+
+  function cacheKey(url) {
+    const record = parse(url);
+    if (!record) return url;
+    if (record.kind === 'short') return `short:${record.path || 'vm'}/${record.code}`;
+    return `tiktok:${record.id}`;
+  }
+
+  function extractAll(text) {
+    if (!text) return [];
+    const found = new Map();
+    URL_VARIANTS.forEach(({ pattern }) => {
+      const globalPattern = new RegExp(pattern.source, 'g');
+      let match;
+      while ((match = globalPattern.exec(text))) {
+        const key = cacheKey(match[0]);
+        if (!found.has(key)) found.set(key, { index: match.index, url: normalize(match[0]) });
+      }
+    });
+    return Array.from(found.values())
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.url);
+  }
+
+  const TikTokUrls = {
+    patterns: PATTERNS,
+    parse,
+    isTikTokUrl,
+    isShortLink,
+    profileAuthor,
+    timestampFromId,
+    canonicalUrl,
+    normalize,
+    cacheKey,
+    extractAll
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TikTokUrls;
+  } else {
+    globalScope.TikTokUrls = TikTokUrls;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
@@ -0,0 +1,155 @@
+(function (globalScope) {
+  const PREFERENCES = Object.freeze(['best-clean', 'best-compatible', 'best', 'smallest', 'default']);
+  const COMPATIBLE_CODECS = ['h264', 'avc'];
+
+  function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  }
+
+  function heightFromRatio(ratio) {
+    const match = /(\d{3,4})p/i.exec(String(ratio || ''));
+    return match ? Number(match[1]) : null;
+  }
+
+  function normalizeCodec(codec) {
+    const value = String(codec || '').toLowerCase();
+    if (!value) return null;
+    if (value.includes('265') || value.includes('hevc') || value.includes('hvc') || value.includes('bytevc1')) return 'h265';
+    if (value.includes('264') || value.includes('avc')) return 'h264';
+    return value;
+  }
+
+  /**
+   * Cleans provider variant lists into `{ id, url, width, height, codec, bitrate, size, watermark }`,
+   * dropping entries without a URL and duplicate URLs. `watermark` is null when the provider doesn't say.
+   */
+  function normalize(variants, fallbackUrl) {
+    const seen = new Set();
+    const normalized = [];
+    (Array.isArray(variants) ? variants : []).forEach(variant => {
+      if (!variant?.url || seen.has(variant.url)) return;
+      seen.add(variant.url);
+      normalized.push({
+        id: `v${normalized.length + 1}`,
+        url: variant.url,
+        width: toNumber(variant.width),
+        height: toNumber(variant.height) || heightFromRatio(variant.ratio),
+        codec: normalizeCodec(variant.codec),
+        bitrate: toNumber(variant.bitrate),
+        size: toNumber(variant.size),
+        watermark: typeof variant.watermark === 'boolean' ? variant.watermark : null
+      });
+    });
+    if (!normalized.length && fallbackUrl) {
+      normalized.push({ id: 'v1', url: fallbackUrl, width: null, height: null, codec: null, bitrate: null, size: null, watermark: null });
+    }
+    return normalized;
+  }
+
+  function toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value]).filter(url => typeof url === 'string' && url);
+  }
+
+  /**
+   * Reads the variant fields TikTok uses in both API results and page hydration data:
+   * `playAddr` (clean), `bitrateInfo` (per-quality renditions) and `downloadAddr` (watermarked).
+   * The provider default comes first so the 'default' preference keeps the old behaviour.
+   */
+  function fromTikTokVideo(video) {
+    if (!video || typeof video !== 'object') return [];
+    // `video.format` is the container ("mp4"), not a codec, so it is deliberately not used here.
+    const base = { width: video.width, height: video.height, ratio: video.ratio || video.definition, codec: video.codecType };
+    const variants = toList(video.playAddr).map(url => ({ ...base, url, watermark: false }));
+    (Array.isArray(video.bitrateInfo) ? video.bitrateInfo : []).forEach(info => {
+      const address = info.PlayAddr || info.playAddr || {};
+      toList(address.UrlList || address.urlList).slice(0, 1).forEach(url => variants.push({
+        url,
+        width: address.Width || address.width,
+        height: address.Height || address.height,
+        codec: info.CodecType || info.codecType,
+        bitrate: info.Bitrate || info.bitrate,
+        size: address.DataSize || address.dataSize,
+        watermark: false
+      }));
+    });
+    toList(video.downloadAddr).forEach(url => variants.push({ ...base, url, watermark: true }));
+    return variants;
+  }
+
+  // TikTok videos are mostly portrait, so "720p" refers to the short side.
+  function resolutionOf(variant) {
+    return variant.width && variant.height ? Math.min(variant.width, variant.height) : variant.height || 0;
+  }
+
+  function compareQuality(a, b) {
+    return resolutionOf(b) - resolutionOf(a)
+      || (b.bitrate || 0) - (a.bitrate || 0)
+      || (b.size || 0) - (a.size || 0);
+  }
+
+  function isClean(variant) {
+    return variant.watermark !== true;
+  }
+
+  function isCompatible(variant) {
+    return !variant.codec || COMPATIBLE_CODECS.includes(variant.codec);
+  }
+
+  function select(variants, preference) {
+    if (!Array.isArray(variants) || !variants.length) return null;
+    if (preference === 'default' || !PREFERENCES.includes(preference)) return variants[0];
+
+    const ranked = variants.slice().sort(compareQuality);
+    if (preference === 'smallest') {
+      const clean = ranked.filter(isClean);
+      return (clean.length ? clean : ranked)
+        .slice()
+        .sort((a, b) => (a.size || a.bitrate || Infinity) - (b.size || b.bitrate || Infinity))[0];
+    }
+    if (preference === 'best') return ranked[0];
+    if (preference === 'best-compatible') {
+      return ranked.find(variant => isClean(variant) && isCompatible(variant))
+        || ranked.find(isCompatible)
+        || ranked.find(isClean)
+        || ranked[0];
+    }
+    return ranked.find(isClean) || ranked[0];
+  }
+
+  function find(variants, id) {
+    return (variants || []).find(variant => variant.id === id) || null;
+  }
+
+  function formatSize(bytes) {
+    if (!bytes) return '';
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+  }
+
+  function describe(variant) {
+    if (!variant) return '';
+    const resolution = resolutionOf(variant);
+    const parts = [resolution ? `${resolution}p` : 'Original'];
+    if (variant.codec) parts.push(variant.codec.toUpperCase());
+    if (variant.size) parts.push(formatSize(variant.size));
+    if (variant.watermark === true) parts.push('watermark');
+    if (variant.watermark === false) parts.push('no watermark');
+    return parts.join(' · ');
+  }
+
+  const VideoVariants = {
+    preferences: PREFERENCES,
+    normalize,
+    fromTikTokVideo,
+    select,
+    find,
+    describe
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoVariants;
+  } else {
+    globalScope.VideoVariants = VideoVariants;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);
@@ -0,0 +1,133 @@
+(function (globalScope) {
+  const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+  const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+  const END_OF_CENTRAL_SIGNATURE = 0x06054b50;
+  const VERSION = 20;
+  const UTF8_FLAG = 0x0800;
+  const METHOD_STORE = 0;
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function toDosDateTime(timestamp) {
+    const date = new Date(timestamp || Date.now());
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new TextEncoder().encode(String(data));
+  }
+
+  function uniqueName(name, used) {
+    if (!used.has(name)) return name;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    let counter = 2;
+    while (used.has(`${base}-${counter}${ext}`)) counter += 1;
+    return `${base}-${counter}${ext}`;
+  }
+
+  /**
+   * Packs `entries` ({ name, data, modifiedAt }) into an uncompressed ZIP archive.
+   * Media files are already compressed, so STORE keeps this fast without a deflate implementation.
+   */
+  function create(entries) {
+    const encoder = new TextEncoder();
+    const usedNames = new Set();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+      const name = uniqueName(entry.name, usedNames);
+      usedNames.add(name);
+      const nameBytes = encoder.encode(name);
+      const data = toBytes(entry.data);
+      const checksum = crc32(data);
+      const stamp = toDosDateTime(entry.modifiedAt);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+      local.setUint16(4, VERSION, true);
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, METHOD_STORE, true);
+      local.setUint16(10, stamp.time, true);
+      local.setUint16(12, stamp.date, true);
+      local.setUint32(14, checksum, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+      central.setUint16(4, VERSION, true);
+      central.setUint16(6, VERSION, true);
+      central.setUint16(8, UTF8_FLAG, true);
+      central.setUint16(10, METHOD_STORE, true);
+      central.setUint16(12, stamp.time, true);
+      central.setUint16(14, stamp.date, true);
+      central.setUint32(16, checksum, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_SIGNATURE, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+      archive.set(part, position);
+      position += part.length;
+    });
+    return archive;
+  }
+
+  const ZipArchive = {
+    create,
+    crc32
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+  } else {
+    globalScope.ZipArchive = ZipArchive;
+  }
+})(typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : this);